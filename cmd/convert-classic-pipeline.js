@@ -0,0 +1,192 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { exit } from 'node:process';
+import { resolve } from 'node:path';
+import fs from 'node:fs';
+
+import { Command } from 'commander';
+import { jsonToTf } from 'json-to-tf';
+
+import { parseEnvVar, normalizeName, promptUserConfirmation } from './utils/utils.js';
+import { logger, LOG_STAGES } from './utils/logger.js';
+import { initProviderFile, runTerraformApply, runTerraformInit, setTerraformEnv } from './utils/terraform.js';
+import { getBearerToken, getClassicPipelineStages, getToolchain, getToolchainTools } from './utils/requests.js';
+import { validatePrereqsVersions, parseToolchainCrn } from './utils/validate.js';
+import { tektonPipelineResources } from './utils/import-terraform.js';
+import { convertClassicPipelineDefinition, DEFINITIONS_PATH } from './utils/classic-pipeline.js';
+
+import { CONVERT_CLASSIC_PIPELINE_DESC } from '../config.js';
+
+const TIME_SUFFIX = new Date().getTime();
+const LOGS_DIR = '.logs';
+const LOG_DUMP = process.env['LOG_DUMP'] === 'false' ? false : true;	// when true or not specified, logs are also written to a log file in LOGS_DIR
+const OUTPUT_DIR = 'convert-' + TIME_SUFFIX;
+const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
+
+const command = new Command('convert-classic-pipeline')
+	.summary('Converts a classic pipeline to a Tekton pipeline in the same toolchain.')
+	.description(CONVERT_CLASSIC_PIPELINE_DESC)
+	.optionsGroup('Basic options:')
+	.requiredOption('-c, --toolchain-crn <crn>', 'The CRN of the toolchain of the classic pipeline')
+	.requiredOption('-p, --pipeline <pipeline>', 'The name or ID of the classic pipeline to convert')
+	.option('-n, --name <name>', '(Optional) The name of the Tekton pipeline (default: the name of the classic pipeline, with a "-tekton" suffix)')
+	.option('--repo-url <url>', '(Optional) The URL of the repository the generated Tekton definitions are committed to (default: the repository of the first Git input)')
+	.option('--branch <branch>', '(Optional) The branch the generated Tekton definitions are committed to (default: the branch of the first Git input)')
+	.option('-a, --apikey <api_key>', 'API key used to authenticate. Must be a user API key, with IAM permission to read and edit the toolchain')
+	.helpOption('-h, --help', 'Display help for command')
+	.optionsGroup('Advanced options:')
+	.option('-d, --output-dir <path>', '(Optional) The target local directory to store the generated Tekton definitions and Terraform (.tf) files')
+	.option('--image <image>', '(Optional) The image of the tasks converted from jobs without a Docker image')
+	.option('-D, --dry-run', '(Optional) Only generate the Tekton definitions and Terraform files, without creating the Tekton pipeline')
+	.option('-f, --force', '(Optional) Force the convert classic pipeline command to run without user confirmation')
+	.option('-v, --verbose', '(Optional) Increase log output')
+	.option('-q, --quiet', '(Optional) Suppress non-essential output, only errors and critical warnings are displayed')
+	.showHelpAfterError()
+	.hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
+	.action(main);
+
+async function main(options) {
+	const verbosity = options.quiet ? 0 : options.verbose ? 2 : 1;
+	const outputDir = resolve(options.outputDir || OUTPUT_DIR);
+
+	logger.setVerbosity(verbosity);
+	if (LOG_DUMP) logger.createLogStream(`${LOGS_DIR}/convert-classic-pipeline-${TIME_SUFFIX}.log`);
+
+	// redact apikey option in logs
+	const printOptions = { ...options };
+	printOptions.apikey ? printOptions.apikey = '<API KEY>' : delete printOptions.apikey;
+	logger.dump(`Options: ${JSON.stringify(printOptions)}\n`);
+
+	let stage = LOG_STAGES.setup;
+
+	try {
+		if (!options.dryRun) validatePrereqsVersions();
+
+		// check for existing files in output directory
+		if (fs.existsSync(outputDir)) {
+			const files = fs.readdirSync(outputDir).filter((f) => f.endsWith('.tf') || f === DEFINITIONS_PATH);
+			if (files.length > 0) throw Error(`Output directory already has '.tf' files or a '${DEFINITIONS_PATH}' directory, please specify a different output directory`);
+		}
+
+		const [toolchainId, region] = parseToolchainCrn(options.toolchainCrn);
+
+		const apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
+		const bearer = await getBearerToken(apiKey);
+
+		const toolchain = await logger.withSpinner(getToolchain,
+			'Validating toolchain...',
+			'Toolchain validated',
+			LOG_STAGES.setup,
+			bearer,
+			toolchainId,
+			region
+		);
+		if (options.toolchainCrn != toolchain['crn']) throw Error('Provided toolchain CRN is invalid');
+
+		const { tools } = await getToolchainTools(bearer, toolchainId, region);
+		const classicPipeline = tools.find((tool) => tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'classic'
+			&& (tool.id === options.pipeline || tool.parameters?.name === options.pipeline));
+		if (!classicPipeline) throw Error(`Classic pipeline "${options.pipeline}" not found in toolchain "${toolchain['name']}"`);
+
+		const pipelineName = options.name || `${classicPipeline.parameters.name}-tekton`;
+		if (tools.some((tool) => tool.parameters?.name === pipelineName)) throw Error(`A tool integration named "${pipelineName}" already exists in the toolchain, please specify a different name`);
+
+		const stages = await logger.withSpinner(getClassicPipelineStages,
+			'Reading classic pipeline...',
+			'Classic pipeline read',
+			LOG_STAGES.setup,
+			bearer,
+			classicPipeline.id,
+			region
+		);
+		resolveGitInputs(stages, tools);
+
+		stage = LOG_STAGES.import;
+		const { properties, files, repository, triggers, untranslated } = convertClassicPipelineDefinition(stages, options.image);
+
+		// the definitions are read from the repository they are committed to, the first git input by default
+		const definitionsRepo = options.repoUrl || repository
+			? { url: options.repoUrl || repository.url, branch: options.branch || repository?.branch || 'master' }
+			: undefined;
+		if (!definitionsRepo) {
+			logger.warn(`Warning! The classic pipeline has no Git input, the Tekton pipeline will be created without definitions or triggers. Use the --repo-url option to specify the repository the '${DEFINITIONS_PATH}' directory is committed to.`, LOG_STAGES.import, true);
+		}
+
+		for (const [path, contents] of Object.entries(files)) {
+			fs.mkdirSync(resolve(outputDir, path, '..'), { recursive: true });
+			fs.writeFileSync(resolve(outputDir, path), contents);
+		}
+
+		const toolResName = normalizeName(pipelineName);
+		const resources = {
+			'ibm_cd_toolchain_tool_pipeline': {
+				[toolResName]: { toolchain_id: toolchainId, parameters: [{ name: pipelineName, type: 'tekton' }] }
+			},
+			...tektonPipelineResources(toolResName, properties, definitionsRepo, triggers)
+		};
+		await initProviderFile(region, outputDir);
+		fs.writeFileSync(`${outputDir}/pipeline.tf`, jsonToTf(JSON.stringify({ 'resource': resources })));
+
+		if (untranslated.length > 0) {
+			logger.warn('Warning! The following parts of the classic pipeline could not be fully converted, and must be reviewed in the generated Tekton definitions or Tekton pipeline:', LOG_STAGES.import, true);
+			logger.table(untranslated);
+		}
+
+		const commitMsg = definitionsRepo
+			? `Commit the '${DEFINITIONS_PATH}' directory to the ${definitionsRepo.branch} branch of ${definitionsRepo.url} before running the Tekton pipeline.`
+			: '';
+
+		if (options.dryRun) {
+			logger.print(''); // newline for spacing
+			logger.info(`DRY_RUN: Tekton pipeline "${pipelineName}" generated in "${outputDir}", run 'terraform init' and 'terraform apply' in the directory to create it.`, LOG_STAGES.info, true);
+			if (commitMsg) logger.info(commitMsg, LOG_STAGES.info, true);
+			await logger.close();
+			exit(0);
+		}
+
+		if (!options.force) {
+			await promptUserConfirmation(`A Tekton pipeline "${pipelineName}" will be created in toolchain "${toolchain['name']}". Do you want to proceed?`, 'yes', 'Classic pipeline conversion cancelled.');
+		}
+
+		stage = LOG_STAGES.tf;
+		setTerraformEnv(apiKey, verbosity);
+		await runTerraformInit(outputDir, verbosity);
+		await runTerraformApply(true, outputDir, verbosity);
+
+		const newTools = await getToolchainTools(bearer, toolchainId, region);
+		const tektonPipeline = newTools.tools.find((tool) => tool.tool_type_id === 'pipeline' && tool.parameters?.name === pipelineName);
+
+		logger.print(''); // newline for spacing
+		logger.info(`Tekton pipeline "${pipelineName}" created: https://${CLOUD_PLATFORM}/devops/pipelines/tekton/${tektonPipeline?.id}?env_id=ibm:yp:${region}`, LOG_STAGES.info, true);
+		if (commitMsg) logger.info(commitMsg, LOG_STAGES.info, true);
+		logger.info(`The generated Tekton definitions are in "${resolve(outputDir, DEFINITIONS_PATH)}". The classic pipeline is not changed, and can be deleted once the Tekton pipeline is verified.`, LOG_STAGES.info, true);
+	}
+	catch (err) {
+		if (err.message && err.stack) {
+			const errMsg = verbosity > 1 ? err.stack : err.message;
+			logger.error(errMsg, stage);
+		}
+		await logger.close();
+		exit(1);
+	}
+
+	await logger.close();
+	exit(0);
+}
+
+// git inputs can refer to the repository tool integration instead of its URL
+function resolveGitInputs(stages, tools) {
+	stages.forEach((stage) => stage.inputs?.forEach((input) => {
+		if (input.type !== 'git' || input.url) return;
+		input.url = tools.find((tool) => tool.id === input.service)?.parameters?.repo_url ?? input.service;
+	}));
+}
+
+export default command;
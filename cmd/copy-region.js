@@ -0,0 +1,224 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { exit } from 'node:process';
+import { resolve } from 'node:path';
+import fs from 'node:fs';
+
+import { Command, Option } from 'commander';
+
+import { copyToolchains } from './copy-toolchain.js';
+import { decomposeCrn, parseEnvVar, promptUserConfirmation } from './utils/utils.js';
+import { logger, LOG_STAGES } from './utils/logger.js';
+import { getAccountId, getBearerToken, getResourceGroups, getToolchainsByRegion } from './utils/requests.js';
+import { validatePrereqsVersions, validateTag } from './utils/validate.js';
+
+import { COPY_REGION_DESC, SOURCE_REGIONS, TARGET_REGIONS } from '../config.js';
+
+import packageJson from '../package.json' with { type: 'json' };
+
+const TIME_SUFFIX = new Date().getTime();
+const LOGS_DIR = '.logs';
+const LOG_DUMP = process.env['LOG_DUMP'] === 'false' ? false : true;	// when true or not specified, logs are also written to a log file in LOGS_DIR
+const OUTPUT_DIR = 'output-' + TIME_SUFFIX;
+
+// toolchains with these statuses are not copied again when resuming
+const DONE_STATUSES = ['success', 'partial'];
+const DRY_RUN_DONE_STATUSES = ['success', 'partial', 'generated'];
+
+const command = new Command('copy-region')
+	.summary('Copies all toolchains in a region to another region.')
+	.description(COPY_REGION_DESC)
+	.optionsGroup('Basic options:')
+	.addOption(
+		new Option('-s, --source-region <region>', 'The region to copy toolchains from')
+			.choices(SOURCE_REGIONS)
+			.makeOptionMandatory()
+	)
+	.addOption(
+		new Option('-r, --region <region>', 'The destination region of the copied toolchains')
+			.choices(TARGET_REGIONS)
+			.makeOptionMandatory()
+	)
+	.option('-a, --apikey <api_key>', 'API key used to authenticate. Must be a user API key, with IAM permission to read and create toolchains and service-to-service authorizations in source and target region / resource group')
+	.option('--source-resource-group <resource_group>', '(Optional) Only copy toolchains in the resource group with this name or ID')
+	.option('--source-tag <tag>', '(Optional) Only copy toolchains with this tag')
+	.option('-t, --tag <tag>', '(Optional) The tag to add to the copied toolchains')
+	.helpOption('-h, --help', 'Display help for command')
+	.optionsGroup('Advanced options:')
+	.option('-p, --progress-file <path>', '(Optional) The file used to record copy progress. If the file exists, toolchains already copied are skipped (default: copy-region-{source region}-{region}.json)')
+	.option('-d, --terraform-dir <path>', '(Optional) The target local directory to store the generated Terraform (.tf) files, in a subdirectory per toolchain')
+	.option('-D, --dry-run', '(Optional) Skip running terraform apply; only generate the Terraform (.tf) files')
+	.option('-f, --force', '(Optional) Force the copy region command to run without user confirmation')
+	.option('-S, --skip-s2s', '(Optional) Skip creating toolchain-generated service-to-service authorizations')
+	.option('-T, --skip-disable-triggers', '(Optional) Skip disabling Tekton pipeline Git or timed triggers. Note: This may result in duplicate pipeline runs')
+	.option('-C, --compact', '(Optional) Generate all resources in a single resources.tf file')
+	.option('--rollback-on-failure', '(Optional) Remove a partially created toolchain without prompting if terraform apply fails')
+	.option('-v, --verbose', '(Optional) Increase log output')
+	.option('-q, --quiet', '(Optional) Suppress non-essential output, only errors and critical warnings are displayed')
+	.showHelpAfterError()
+	.hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
+	.action(main);
+
+async function main(options) {
+	const sourceRegion = options.sourceRegion;
+	const targetRegion = options.region;
+	const outputDir = resolve(options.terraformDir || OUTPUT_DIR);
+	const progressFile = resolve(options.progressFile || `copy-region-${sourceRegion}-${targetRegion}.json`);
+	const skipUserConfirmation = options.force || false;
+	const doneStatuses = options.dryRun ? DRY_RUN_DONE_STATUSES : DONE_STATUSES;
+	const verbosity = options.quiet ? 0 : options.verbose ? 2 : 1;
+
+	logger.setVerbosity(verbosity);
+	if (LOG_DUMP) logger.createLogStream(`${LOGS_DIR}/copy-region-${TIME_SUFFIX}.log`);
+
+	// redact apikey option in logs
+	const printOptions = { ...options };
+	printOptions.apikey ? printOptions.apikey = '<API KEY>' : delete printOptions.apikey;
+	logger.dump(`Options: ${JSON.stringify(printOptions)}\n`);
+
+	let session;
+	let progress;
+	let entries;
+
+	try {
+		if (sourceRegion === targetRegion) throw Error('The source and destination regions must be different');
+
+		validatePrereqsVersions();
+		logger.info(`\x1b[32m✔\x1b[0m cd-tools Version:  ${packageJson.version}`, LOG_STAGES.setup);
+
+		if (options.tag) validateTag(options.tag);
+		if (options.sourceTag) validateTag(options.sourceTag);
+
+		const apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
+		const bearer = await getBearerToken(apiKey);
+		const accountId = await getAccountId(bearer, apiKey);
+		session = { apiKey, bearer, accountId, issuedAt: Date.now() };
+		session.target = { apiKey, bearer, accountId }; // toolchains are copied within the account
+
+		progress = readProgress(progressFile, sourceRegion, targetRegion);
+
+		let sourceRgId;
+		if (options.sourceResourceGroup) {
+			const resourceGroups = await getResourceGroups(bearer, accountId, [options.sourceResourceGroup]);
+			sourceRgId = resourceGroups[0].id;
+		}
+
+		const toolchains = await logger.withSpinner(getToolchainsByRegion,
+			`Searching for toolchains in ${sourceRegion}...`,
+			'Toolchain search complete',
+			LOG_STAGES.setup,
+			bearer,
+			accountId,
+			sourceRegion,
+			sourceRgId,
+			options.sourceTag
+		);
+
+		// add newly found toolchains, keeping the status of toolchains from previous runs
+		toolchains.forEach((tc) => {
+			progress.toolchains[tc.crn] ??= { name: tc.name, status: 'pending' };
+		});
+
+		const numDone = toolchains.filter((tc) => doneStatuses.includes(progress.toolchains[tc.crn].status)).length;
+		entries = toolchains
+			.filter((tc) => !doneStatuses.includes(progress.toolchains[tc.crn].status))
+			.map((tc) => ({
+				toolchainCrn: tc.crn,
+				region: targetRegion,
+				tag: options.tag,
+				outputDir: resolve(outputDir, `${decomposeCrn(tc.crn).serviceInstance}-${TIME_SUFFIX}`)
+			}));
+
+		writeProgress(progressFile, progress);
+
+		if (toolchains.length === 0) {
+			logger.info(`No toolchains found in ${sourceRegion} matching the provided filters.`, LOG_STAGES.info, true);
+			await logger.close();
+			exit(0);
+		}
+
+		if (numDone > 0) logger.info(`Resuming from progress file "${progressFile}", skipping ${numDone} toolchain(s) already copied.`, LOG_STAGES.setup, true);
+
+		if (entries.length === 0) {
+			logger.info(`All ${toolchains.length} toolchain(s) in ${sourceRegion} have already been copied to ${targetRegion}.`, LOG_STAGES.info, true);
+			await logger.close();
+			exit(0);
+		}
+
+		logger.print(''); // newline for spacing
+		logger.table(toolchains
+			.filter((tc) => !doneStatuses.includes(progress.toolchains[tc.crn].status))
+			.map((tc) => ({ toolchain_name: tc.name, status: progress.toolchains[tc.crn].status, crn: tc.crn })),
+			'crn'
+		);
+
+		if (!skipUserConfirmation) {
+			await promptUserConfirmation(`The above ${entries.length} toolchain(s) will be copied from ${sourceRegion} to ${targetRegion}. Do you want to proceed?`, 'yes', 'Region copy cancelled.');
+		}
+	}
+	catch (err) {
+		if (err.message && err.stack) {
+			const errMsg = verbosity > 1 ? err.stack : err.message;
+			logger.error(errMsg, LOG_STAGES.setup);
+		}
+		await logger.close();
+		exit(1);
+	}
+
+	const copyOptions = {
+		dryRun: options.dryRun || false,
+		skipUserConfirmation: skipUserConfirmation,
+		includeS2S: !options.skipS2s,
+		disableTriggers: !options.skipDisableTriggers,
+		isCompact: options.compact || false,
+		rollbackOnFailure: options.rollbackOnFailure || false,
+		verbosity: verbosity,
+		gritMapping: {}
+	};
+
+	const recordProgress = (entry, row, result) => {
+		progress.toolchains[entry.toolchainCrn] = {
+			...progress.toolchains[entry.toolchainCrn],
+			status: row.status,
+			output_dir: entry.outputDir,
+			...(result?.newToolchainId ? { new_toolchain_id: result.newToolchainId } : {}),
+			...(row.status === 'failed' ? { error: row.details } : { error: undefined }),
+			updated_at: new Date().toISOString()
+		};
+		writeProgress(progressFile, progress);
+	};
+
+	const allSucceeded = await copyToolchains(session, entries, copyOptions, recordProgress);
+
+	logger.info(`Progress file: ${progressFile}`, LOG_STAGES.info, true);
+	if (!allSucceeded) logger.warn(`Warning! Not all toolchains were copied successfully. Toolchains with a "partial" status can be completed with 'copy-toolchain --resume <output_dir>', re-run the command to retry "failed" and "rolled back" toolchains.`, LOG_STAGES.info, true);
+
+	await logger.close();
+	exit(allSucceeded ? 0 : 1);
+}
+
+function readProgress(progressFile, sourceRegion, targetRegion) {
+	if (!fs.existsSync(progressFile)) {
+		return { source_region: sourceRegion, target_region: targetRegion, toolchains: {} };
+	}
+
+	const progress = JSON.parse(fs.readFileSync(progressFile));
+	if (progress.source_region !== sourceRegion || progress.target_region !== targetRegion) {
+		throw Error(`Progress file "${progressFile}" is for copying from ${progress.source_region} to ${progress.target_region}, please specify a different progress file`);
+	}
+	progress.toolchains ??= {};
+	return progress;
+}
+
+function writeProgress(progressFile, progress) {
+	fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+}
+
+export default command;
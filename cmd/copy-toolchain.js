@@ -19,36 +19,39 @@ import fs from 'node:fs';
 
 import { Command, Option } from 'commander';
 
-import { parseEnvVar, promptUserConfirmation } from './utils/utils.js';
+import { decomposeCrn, parseEnvVar, promptUserConfirmation, promptUserYesNo, readDataFile } from './utils/utils.js';
 import { logger, LOG_STAGES } from './utils/logger.js';
-import { setTerraformEnv, initProviderFile, setupTerraformFiles, runTerraformInit, getNumResourcesPlanned, runTerraformApply, getNumResourcesCreated, getNewToolchainId } from './utils/terraform.js';
-import { getAccountId, getBearerToken, getCdInstanceByRegion, getResourceGroups, getToolchain } from './utils/requests.js';
-import { validatePrereqsVersions, validateTag, validateToolchainId, validateToolchainName, validateTools, validateOAuth, warnDuplicateName, validateGritUrl } from './utils/validate.js';
+import { setTerraformEnv, initProviderFile, setupTerraformFiles, runTerraformInit, getNumResourcesPlanned, runTerraformApply, getNumResourcesCreated, getNewToolchainId, getStateResources, runTerraformDestroy, runS2sScript } from './utils/terraform.js';
+import { deleteToolchain, getAccountId, getBearerToken, getCdInstanceByRegion, getResourceGroups, getToolchain } from './utils/requests.js';
+import { validatePrereqsVersions, validateTag, parseToolchainCrn, validateToolchainName, validateTools, verifyTools, validateOAuth, validateCrossAccountTools, warnDuplicateName, validateGritUrl } from './utils/validate.js';
 import { importTerraform } from './utils/import-terraform.js';
+import { exportInsightsData, uploadInsightsData } from './utils/insights.js';
 
-import { COPY_TOOLCHAIN_DESC, TARGET_REGIONS, SOURCE_REGIONS } from '../config.js';
+import { COPY_TOOLCHAIN_DESC, TARGET_REGIONS } from '../config.js';
 
 import packageJson from '../package.json' with { type: 'json' };
 
 const TIME_SUFFIX = new Date().getTime();
 const LOGS_DIR = '.logs';
-const TEMP_DIR = '.migration-temp-' + TIME_SUFFIX;
+const TEMP_DIR_PREFIX = '.migration-temp-';
 const LOG_DUMP = process.env['LOG_DUMP'] === 'false' ? false : true;	// when true or not specified, logs are also written to a log file in LOGS_DIR
 const DEBUG_MODE = process.env['DEBUG_MODE'] === 'true'; // when true, temp folder is preserved
 const OUTPUT_DIR = 'output-' + TIME_SUFFIX;
 const DRY_RUN = false; // when true, terraform apply does not run
 const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
+const TOKEN_REFRESH_MS = 45 * 60 * 1000; // 45 minutes, bearer tokens expire after 60 minutes
+const COPY_METADATA_FILE = '.copy-toolchain.json'; // written to the output directory, used to resume a copy
+const INSIGHTS_FILE = 'insights.json'; // written to the output directory with --copy-insights, the DevOps Insights data to upload
 
 
 const command = new Command('copy-toolchain')
 	.summary('Copies a toolchain, including tool integrations and Tekton pipelines, to another region or resource group.')
 	.description(COPY_TOOLCHAIN_DESC)
 	.optionsGroup('Basic options:')
-	.requiredOption('-c, --toolchain-crn <crn>', 'The CRN of the source toolchain to copy')
+	.option('-c, --toolchain-crn <crn>', 'The CRN of the source toolchain to copy')
 	.addOption(
 		new Option('-r, --region <region>', 'The destination region of the copied toolchain')
 			.choices(TARGET_REGIONS)
-			.makeOptionMandatory()
 	)
 	.option('-a, --apikey <api_key>', 'API key used to authenticate. Must be a user API key, with IAM permission to read and create toolchains and service-to-service authorizations in source and target region / resource group')
 	.option('-n, --name <name>', '(Optional) The name of the copied toolchain (default: same name as original)')
@@ -62,6 +65,30 @@ const command = new Command('copy-toolchain')
 	.option('-S, --skip-s2s', '(Optional) Skip creating toolchain-generated service-to-service authorizations')
 	.option('-T, --skip-disable-triggers', '(Optional) Skip disabling Tekton pipeline Git or timed triggers. Note: This may result in duplicate pipeline runs')
 	.option('-C, --compact', '(Optional) Generate all resources in a single resources.tf file')
+	.option('--variables', '(Optional) Generate variables for the region, resource group, name, tags and repository URLs of the copied toolchain, with their values in a terraform.tfvars file')
+	.option('-I, --instance-mapping-file <path>', '(Optional) JSON file mapping the names or CRNs of service instances used by tool integrations, such as Secrets Manager, to instances to use in the copied toolchain')
+	.option('--secret-mapping-file <path>', '(Optional) JSON file mapping the secret references, or Secrets Manager instance CRNs, used by the toolchain to the ones to use in the copied toolchain')
+	.addOption(
+		new Option('--copy-secrets', '(Optional) Copy the arbitrary secrets referenced by the toolchain to the Secrets Manager instances used by the copied toolchain, when they do not exist there')
+			.conflicts(['dryRun'])
+	)
+	.option('--convert-classic', '(Optional) Convert classic pipelines to Tekton pipelines with the same environment properties, reporting the stages, jobs and triggers that must be recreated')
+	.option('--copy-insights', `(Optional) Export the DevOps Insights data of the toolchain, its policies, build records, test results and deployment records, to ${INSIGHTS_FILE} in the output directory, and upload it to the copied toolchain`)
+	.option('--target-apikey <api_key>', '(Optional) API key used to create the copied toolchain in a different account. Must be a user API key, with IAM permission to create toolchains and service-to-service authorizations in the target account')
+	.option('--target-account <account_id>', '(Optional) The ID of the account to copy the toolchain to, checked against the account of the target API key')
+	.option('-m, --manifest <path>', '(Optional) YAML or JSON file listing multiple toolchains to copy, each into its own subdirectory of the output directory')
+	.addOption(
+		new Option('--resume <output-dir>', '(Optional) Resume a previous copy from its output directory, creating any resources that were not created')
+			.conflicts(['toolchainCrn', 'region', 'name', 'resourceGroup', 'tag', 'terraformDir', 'dryRun', 'skipS2s', 'skipDisableTriggers', 'compact', 'variables', 'instanceMappingFile', 'secretMappingFile', 'copySecrets', 'convertClassic', 'copyInsights', 'manifest', 'gritMappingFile'])
+	)
+	.addOption(
+		new Option('--rollback <output-dir>', '(Optional) Remove the resources created by a previous copy, using its output directory')
+			.conflicts(['toolchainCrn', 'region', 'name', 'resourceGroup', 'tag', 'terraformDir', 'dryRun', 'skipS2s', 'skipDisableTriggers', 'compact', 'variables', 'instanceMappingFile', 'secretMappingFile', 'copySecrets', 'convertClassic', 'copyInsights', 'manifest', 'gritMappingFile', 'resume', 'rollbackOnFailure'])
+	)
+	.addOption(
+		new Option('--rollback-on-failure', '(Optional) Remove the partially created toolchain without prompting if terraform apply fails')
+			.conflicts(['dryRun'])
+	)
 	.option('-v, --verbose', '(Optional) Increase log output')
 	.option('-q, --quiet', '(Optional) Suppress non-essential output, only errors and critical warnings are displayed')
 	.addOption(
@@ -69,50 +96,167 @@ const command = new Command('copy-toolchain')
 			.hideHelp()
 	)
 	.showHelpAfterError()
+	.hook('preAction', validateRequiredOptions)
 	.hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
 	.action(main);
 
 async function main(options) {
-	const sourceToolchainCrn = options.toolchainCrn;
-	const targetRegion = options.region;
-	const targetRg = options.resourceGroup;
-	const outputDir = resolve(options.terraformDir || OUTPUT_DIR);
-	const dryRun = options.dryRun || DRY_RUN;
-	const skipUserConfirmation = options.force || false;
-	const includeS2S = !options.skipS2s;
-	const disableTriggers = !options.skipDisableTriggers;
-	const isCompact = options.compact || false;
 	const verbosity = options.quiet ? 0 : options.verbose ? 2 : 1;
 
 	logger.setVerbosity(verbosity);
 	if (LOG_DUMP) logger.createLogStream(`${LOGS_DIR}/copy-toolchain-${TIME_SUFFIX}.log`);
 
-	// redact apikey option in logs
+	// redact apikey options in logs
 	const printOptions = { ...options };
 	printOptions.apikey ? printOptions.apikey = '<API KEY>' : delete printOptions.apikey;
+	printOptions.targetApikey ? printOptions.targetApikey = '<API KEY>' : delete printOptions.targetApikey;
 	logger.dump(`Options: ${JSON.stringify(printOptions)}\n`);
 
-	let bearer;
-	let sourceToolchainId;
-	let sourceRegion;
-	let sourceToolchainData;
-	let targetToolchainName = options.name;
-	let targetTag = options.tag;
-	let targetRgId;
-	let targetRgName;
-	let apiKey = options.apikey;
-	let moreTfResources = {};
-	let gritMapping = {};
+	const copyOptions = {
+		dryRun: options.dryRun || DRY_RUN,
+		skipUserConfirmation: options.force || false,
+		includeS2S: !options.skipS2s,
+		disableTriggers: !options.skipDisableTriggers,
+		isCompact: options.compact || false,
+		useVariables: options.variables || false,
+		copySecrets: options.copySecrets || false,
+		convertClassic: options.convertClassic || false,
+		copyInsights: options.copyInsights || false,
+		rollbackOnFailure: options.rollbackOnFailure || false,
+		verbosity: verbosity,
+		gritMapping: {},
+		instanceMapping: {},
+		secretMapping: {}
+	};
+
+	let session;
+	let manifestEntries;
 
 	// Validate arguments are valid and check if Terraform is installed appropriately
 	try {
 		validatePrereqsVersions();
 		logger.info(`\x1b[32m✔\x1b[0m cd-tools Version:  ${packageJson.version}`, LOG_STAGES.setup);
 
-		if (!apiKey) apiKey = parseEnvVar('IBMCLOUD_API_KEY');
-		bearer = await getBearerToken(apiKey);
+		if (options.manifest) manifestEntries = readManifest(options.manifest, options);
+
+		const apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
+		const bearer = await getBearerToken(apiKey);
 		const accountId = await getAccountId(bearer, apiKey);
+		session = { apiKey, bearer, accountId, issuedAt: Date.now() };
+		session.target = await getTargetSession(session, options);
+
+		if (options.gritMappingFile) {
+			copyOptions.gritMapping = JSON.parse(fs.readFileSync(resolve(options.gritMappingFile)));
+		}
+		if (options.instanceMappingFile) {
+			copyOptions.instanceMapping = JSON.parse(fs.readFileSync(resolve(options.instanceMappingFile)));
+		}
+		if (options.secretMappingFile) {
+			copyOptions.secretMapping = JSON.parse(fs.readFileSync(resolve(options.secretMappingFile)));
+		}
+	}
+	catch (err) {
+		logCopyError(err, LOG_STAGES.setup, verbosity);
+		await logger.close();
+		exit(1);
+	}
 
+	if (options.rollback) {
+		let remaining;
+		try {
+			({ remaining } = await rollbackCopy(session, resolve(options.rollback), copyOptions.skipUserConfirmation, verbosity));
+		} catch (err) {
+			logCopyError(err, LOG_STAGES.tf, verbosity);
+			await logger.close();
+			exit(1);
+		}
+		await logger.close();
+		exit(remaining.length > 0 ? 1 : 0);
+	}
+
+	if (options.resume) {
+		try {
+			await resumeCopy(session, resolve(options.resume), copyOptions);
+		} catch (err) {
+			logCopyError(err, LOG_STAGES.setup, verbosity);
+			await logger.close();
+			exit(1);
+		}
+		await logger.close();
+		exit(0);
+	}
+
+	if (manifestEntries) {
+		const baseOutputDir = resolve(options.terraformDir || OUTPUT_DIR);
+		manifestEntries.forEach((entry, i) => {
+			const toolchainId = decomposeCrn(entry.toolchainCrn).serviceInstance;
+			entry.outputDir = entry.terraformDir ? resolve(entry.terraformDir) : resolve(baseOutputDir, `${i + 1}-${toolchainId}`);
+		});
+		const allSucceeded = await copyToolchains(session, manifestEntries, copyOptions);
+		await logger.close();
+		exit(allSucceeded ? 0 : 1);
+	}
+
+	try {
+		await copyToolchain(session, {
+			toolchainCrn: options.toolchainCrn,
+			region: options.region,
+			name: options.name,
+			resourceGroup: options.resourceGroup,
+			tag: options.tag,
+			outputDir: resolve(options.terraformDir || OUTPUT_DIR)
+		}, { ...copyOptions, timeSuffix: TIME_SUFFIX });
+	} catch (err) {
+		logCopyError(err, LOG_STAGES.setup, verbosity);
+		await logger.close();
+		exit(1);
+	}
+
+	await logger.close();
+	exit(0);
+}
+
+// runs the validate, import, generate and apply steps for a single toolchain,
+// errors are re-thrown with the stage they occurred in
+async function copyToolchain(session, target, copyOptions) {
+	const { bearer, apiKey, accountId } = session;
+	const { bearer: targetBearer, accountId: targetAccountId } = session.target;
+	const isCrossAccount = targetAccountId !== accountId;
+	const { dryRun, skipUserConfirmation, includeS2S, disableTriggers, isCompact, useVariables, copySecrets, convertClassic, copyInsights, verbosity, timeSuffix } = copyOptions;
+	const sourceToolchainCrn = target.toolchainCrn;
+	const targetRegion = target.region;
+	const targetRg = target.resourceGroup;
+	const outputDir = target.outputDir;
+	const tempDir = TEMP_DIR_PREFIX + timeSuffix;
+
+	// mapping is updated with GRIT urls resolved during this copy
+	const gritMapping = { ...copyOptions.gritMapping };
+
+	let sourceToolchainId;
+	let sourceRegion;
+	let sourceToolchainData;
+	let targetToolchainName = target.name;
+	let targetTag = target.tag;
+	let targetRgId;
+	let targetRgName;
+	let moreTfResources = {};
+	let hasInsights = false;
+
+	const result = {
+		sourceName: undefined,
+		sourceRegion: undefined,
+		targetName: undefined,
+		targetRegion: targetRegion,
+		outputDir: outputDir,
+		newToolchainId: '',
+		numResourcesCreated: 0,
+		numResourcesPlanned: 0,
+		applyErrors: false,
+		numToolsFailed: 0,
+		dryRun: dryRun
+	};
+
+	try {
 		// check for existing .tf files in output directory
 		if (fs.existsSync(outputDir)) {
 			let files = fs.readdirSync(outputDir, { recursive: true });
@@ -120,15 +264,14 @@ async function main(options) {
 			if (files.length > 0) throw Error(`Output directory already has ${files.length} '.tf' files, please specify a different output directory`);
 		}
 
-		if (options.gritMappingFile) {
-			gritMapping = JSON.parse(fs.readFileSync(resolve(options.gritMappingFile)));
+		if (Object.keys(gritMapping).length > 0) {
 			const gritPromises = [];
 			let errorCount = 0;
 
 			// check validity of mapped values
 			Object.entries(gritMapping)
 				.forEach(([k, v]) => {
-					gritPromises.push(validateGritUrl(bearer, targetRegion, v, true).catch((e) => {
+					gritPromises.push(validateGritUrl(targetBearer, targetRegion, v, true).catch((e) => {
 						if (errorCount < 5) {
 							logger.error(`Value of key '${k}' from GRIT mapping file is invalid`, LOG_STAGES.setup);
 							logger.error(e, LOG_STAGES.setup);
@@ -143,6 +286,10 @@ async function main(options) {
 		}
 
 		[sourceToolchainId, sourceRegion] = parseToolchainCrn(sourceToolchainCrn);
+		result.sourceRegion = sourceRegion;
+
+		// resource groups are per account, the source toolchain's can't be reused
+		if (isCrossAccount && !targetRg) throw Error(`A resource group in the target account ${targetAccountId} must be specified with -g, --resource-group <resource_group> when copying to a different account`);
 
 		if (targetToolchainName) validateToolchainName(targetToolchainName);
 		if (targetTag) validateTag(targetTag);
@@ -155,29 +302,30 @@ async function main(options) {
 			sourceToolchainId,
 			sourceRegion
 		);
+		result.sourceName = sourceToolchainData['name'];
 
-		if (sourceToolchainCrn != sourceToolchainData['crn']) {
-			logger.error('Provided toolchain CRN is invalid', LOG_STAGES.setup);
-			exit(1);
-		}
+		if (sourceToolchainCrn != sourceToolchainData['crn']) throw Error('Provided toolchain CRN is invalid');
+
+		const resourceGroups = await getResourceGroups(targetBearer, targetAccountId, [targetRg || sourceToolchainData['resource_group_id']]);
+		({ id: targetRgId, name: targetRgName } = resourceGroups[0]);
 
 		// check for continuous delivery instance in target region and resource group
-		const cdInstances = await getCdInstanceByRegion(bearer, accountId, targetRegion);
+		const cdInstances = await getCdInstanceByRegion(targetBearer, targetAccountId, targetRegion);
 		const cdInstanceFound = cdInstances?.some((instance) => {
-			return instance.doc?.resource_group_id === sourceToolchainData['resource_group_id'];
+			return instance.doc?.resource_group_id === (isCrossAccount ? targetRgId : sourceToolchainData['resource_group_id']);
 		});
 
 		if (!cdInstanceFound) {
 			// give users the option to bypass
-			logger.warn(`Warning! Could not find a Continuous Delivery instance in the target region ${targetRegion} and toolchain's resource group or you do not have permission to view, please create one before proceeding if one does not exist already.`, LOG_STAGES.setup);
+			const location = isCrossAccount ? `target account ${targetAccountId}, region ${targetRegion} and resource group ${targetRgName}` : `target region ${targetRegion} and toolchain's resource group`;
+			logger.warn(`Warning! Could not find a Continuous Delivery instance in the ${location} or you do not have permission to view, please create one before proceeding if one does not exist already.`, LOG_STAGES.setup);
 			await promptUserConfirmation(`Do you want to proceed anyway?`, 'yes', 'Toolchain migration cancelled.');
 		}
 
-		const resourceGroups = await getResourceGroups(bearer, accountId, [targetRg || sourceToolchainData['resource_group_id']]);
-		({ id: targetRgId, name: targetRgName } = resourceGroups[0]);
 		// reuse name if not provided
 		if (!targetToolchainName) targetToolchainName = sourceToolchainData['name'];
-		[targetToolchainName, targetTag] = await warnDuplicateName(bearer, accountId, targetToolchainName, sourceRegion, targetRegion, targetRgId, targetRgName, targetTag, skipUserConfirmation);
+		[targetToolchainName, targetTag] = await warnDuplicateName(targetBearer, targetAccountId, targetToolchainName, sourceRegion, targetRegion, targetRgId, targetRgName, targetTag, skipUserConfirmation);
+		result.targetName = targetToolchainName;
 
 		const allTools = await logger.withSpinner(validateTools,
 			'Validating Toolchain Tool(s)...',
@@ -186,15 +334,26 @@ async function main(options) {
 			bearer,
 			sourceToolchainId,
 			sourceRegion,
-			skipUserConfirmation
+			skipUserConfirmation,
+			convertClassic
 		);
 
+		if (isCrossAccount) await validateCrossAccountTools(allTools, sourceRegion, skipUserConfirmation);
+
+		// the DevOps Insights integration is recreated empty, its data is only copied with --copy-insights
+		hasInsights = allTools.some((t) => t.tool_type_id === 'draservicebroker');
+		if (copyInsights && !hasInsights) {
+			logger.warn('Warning! The toolchain has no DevOps Insights tool integration, no DevOps Insights data will be copied.', LOG_STAGES.setup, true);
+		} else if (!copyInsights && hasInsights) {
+			logger.warn('Warning! The DevOps Insights tool integration will be recreated without its data, use the --copy-insights option to copy its policies, build records, test results and deployment records.', LOG_STAGES.setup, true);
+		}
+
 		// validate git tools OAuth
 		await logger.withSpinner(validateOAuth,
 			'Validating Git OAuth in target region...',
 			'OAuth validated',
 			LOG_STAGES.setup,
-			bearer,
+			targetBearer,
 			allTools,
 			targetRegion,
 			skipUserConfirmation
@@ -216,17 +375,13 @@ async function main(options) {
 		logger.info('Arguments and required packages verified, proceeding with copying toolchain...', LOG_STAGES.setup);
 
 		// Set up temp folder
-		if (!fs.existsSync(TEMP_DIR)) {
-			fs.mkdirSync(TEMP_DIR);
+		if (!fs.existsSync(tempDir)) {
+			fs.mkdirSync(tempDir);
 		}
 	}
 	catch (err) {
-		if (err.message && err.stack) {
-			const errMsg = verbosity > 1 ? err.stack : err.message;
-			logger.error(errMsg, LOG_STAGES.setup);
-		}
-		await handleCleanup();
-		exit(1);
+		cleanupTempDir(tempDir);
+		throw withStage(err, LOG_STAGES.setup);
 	}
 
 	let toolchainTfName; // to target creating toolchain first
@@ -236,16 +391,17 @@ async function main(options) {
 		logger.info(`Copying toolchain "${sourceToolchainData['name']}" from ${sourceRegion} to ${targetRegion}...`, LOG_STAGES.info, true);
 
 		let nonSecretRefs;
+		let classicReport;
 
 		const importTerraformWrapper = async () => {
 			setTimeout(() => {
 				logger.updateSpinnerMsg('Still importing toolchain...');
 			}, 5000);
 
-			await initProviderFile(sourceRegion, TEMP_DIR);
-			await runTerraformInit(TEMP_DIR, verbosity);
+			await initProviderFile(sourceRegion, tempDir);
+			await runTerraformInit(tempDir, verbosity);
 
-			[toolchainTfName, nonSecretRefs, s2sAuthTools] = await importTerraform(bearer, apiKey, sourceRegion, sourceToolchainId, targetToolchainName, TEMP_DIR, isCompact, verbosity);
+			[toolchainTfName, nonSecretRefs, s2sAuthTools, classicReport] = await importTerraform(bearer, apiKey, sourceRegion, sourceToolchainId, targetToolchainName, tempDir, isCompact, verbosity, convertClassic);
 		};
 
 		await logger.withSpinner(
@@ -260,27 +416,31 @@ async function main(options) {
 			logger.table(nonSecretRefs);
 		}
 
-	} catch (err) {
-		if (err.message && err.stack) {
-			const errMsg = verbosity > 1 ? err.stack : err.message;
-			logger.error(errMsg, LOG_STAGES.import);
+		if (classicReport.length > 0) {
+			logger.warn(`Warning! The following parts of the converted classic pipeline(s) could not be translated to Tekton and must be recreated after copying:`, LOG_STAGES.setup, true);
+			logger.table(classicReport);
 		}
-		await handleCleanup();
-		exit(1);
+
+	} catch (err) {
+		cleanupTempDir(tempDir);
+		throw withStage(err, LOG_STAGES.import);
 	}
 
 	// Prepare for Terraform
 	try {
 		if (!fs.existsSync(outputDir)) {
 			logger.info(`Creating output directory "${outputDir}"...`, LOG_STAGES.import);
-			fs.mkdirSync(outputDir);
+			fs.mkdirSync(outputDir, { recursive: true });
 		} else {
 			logger.info(`Output directory "${outputDir}" already exists`, LOG_STAGES.import);
 		}
 
 		await setupTerraformFiles({
 			auth: {
-				token: bearer
+				token: targetBearer,
+				accountId: targetAccountId,
+				srcToken: bearer,
+				srcAccountId: accountId
 			},
 			source: {
 				srcRegion: sourceRegion,
@@ -293,128 +453,494 @@ async function main(options) {
 				targetTag: targetTag
 			},
 			options: {
+				copySecrets: copySecrets,
 				disableTriggers: disableTriggers,
 				includeS2S: includeS2S,
 				isCompact: isCompact,
-				skipUserConfirmation: skipUserConfirmation
+				skipUserConfirmation: skipUserConfirmation,
+				useVariables: useVariables
 			},
 			paths: {
-				tempDir: TEMP_DIR,
+				tempDir: tempDir,
 				outputDir: outputDir
 			},
 			additional: {
 				gritMapping: gritMapping,
+				instanceMapping: copyOptions.instanceMapping,
+				secretMapping: copyOptions.secretMapping,
 				moreTfResources: moreTfResources,
-				timeSuffix: TIME_SUFFIX
+				s2sAuthTools: s2sAuthTools,
+				timeSuffix: timeSuffix
 			}
 		});
-	} catch (err) {
-		if (err.message && err.stack) {
-			const errMsg = verbosity > 1 ? err.stack : err.message;
-			logger.error(errMsg, LOG_STAGES.import);
+
+		if (includeS2S) writeS2sFiles(outputDir, s2sAuthTools, targetRegion);
+
+		if (copyInsights && hasInsights) {
+			const insightsData = await logger.withSpinner(exportInsightsData,
+				'Exporting DevOps Insights data...',
+				'DevOps Insights data exported',
+				LOG_STAGES.import,
+				bearer,
+				sourceToolchainId,
+				sourceRegion
+			);
+			fs.writeFileSync(resolve(outputDir, INSIGHTS_FILE), JSON.stringify(insightsData, null, 2));
 		}
-		await handleCleanup();
-		exit(1);
+
+		writeCopyMetadata(outputDir, {
+			source_toolchain_crn: sourceToolchainCrn,
+			source_name: sourceToolchainData['name'],
+			source_region: sourceRegion,
+			target_name: targetToolchainName,
+			target_region: targetRegion,
+			target_account_id: targetAccountId,
+			toolchain_tf_name: toolchainTfName,
+			include_s2s: includeS2S,
+			copy_insights: copyInsights && hasInsights,
+			time_suffix: timeSuffix
+		});
+	} catch (err) {
+		throw withStage(err, LOG_STAGES.import);
+	} finally {
+		cleanupTempDir(tempDir);
 	}
 
 	// Run Terraform
 	try {
 		if (!dryRun) {
-			setTerraformEnv(apiKey, verbosity);
+			logger.info(`DRY_RUN: ${dryRun}, running terraform apply...`, LOG_STAGES.tf);
+			Object.assign(result, await applyCopy(session, outputDir, readCopyMetadata(outputDir), skipUserConfirmation, verbosity));
+			if (result.applyErrors) result.rolledBack = await offerRollback(session, outputDir, copyOptions);
+		} else {
+			logger.info(`DRY_RUN: ${dryRun}, skipping terraform apply...`, LOG_STAGES.tf);
+			logger.info(`Successfully generated files for cloning toolchain "${sourceToolchainData['name']}" from ${sourceRegion} to "${targetToolchainName ?? sourceToolchainData['name']}" in ${targetRegion}.`, LOG_STAGES.info, true);
+			logger.info(`To apply the generated files, run the copy-toolchain command with '--resume ${outputDir}'`, LOG_STAGES.info, true);
+		}
+		logger.info(`Output directory: ${outputDir}`, LOG_STAGES.info, true);
+	} catch (err) {
+		throw withStage(err, LOG_STAGES.tf);
+	}
+
+	return result;
+}
+
+// resumes a copy from the output directory of a previous run, terraform only creates the resources that are missing
+async function resumeCopy(session, outputDir, copyOptions) {
+	const { skipUserConfirmation, verbosity } = copyOptions;
+	let metadata;
 
-			await logger.withSpinner(runTerraformInit,
-				'Running terraform init...',
-				'Terraform successfully initialized',
+	try {
+		metadata = readCopyMetadata(outputDir);
+		validateCopyAccount(session, metadata);
+		logger.info(`Resuming copy of toolchain "${metadata.source_name}" from ${metadata.source_region} to ${metadata.target_region}...`, LOG_STAGES.info, true);
+	} catch (err) {
+		throw withStage(err, LOG_STAGES.setup);
+	}
+
+	try {
+		const result = await applyCopy(session, outputDir, metadata, skipUserConfirmation, verbosity);
+		if (result.applyErrors) result.rolledBack = await offerRollback(session, outputDir, copyOptions);
+		logger.info(`Output directory: ${outputDir}`, LOG_STAGES.info, true);
+		return result;
+	} catch (err) {
+		throw withStage(err, LOG_STAGES.tf);
+	}
+}
+
+// applies the terraform in the output directory, creating the toolchain first if it does not exist yet,
+// then verifies the tools of the new toolchain
+async function applyCopy(session, outputDir, metadata, skipUserConfirmation, verbosity) {
+	const { apiKey } = session.target;
+	const { source_name: sourceName, source_region: sourceRegion, target_name: targetName, target_region: targetRegion, time_suffix: timeSuffix } = metadata;
+	const s2sFailuresPath = resolve(`${outputDir}/.s2s-script-failures-${timeSuffix}`);
+
+	setTerraformEnv(apiKey, verbosity);
+
+	await logger.withSpinner(runTerraformInit,
+		'Running terraform init...',
+		'Terraform successfully initialized',
+		LOG_STAGES.tf,
+		outputDir,
+		verbosity
+	);
+
+	// get total planned resources before applying, when resuming this is kept from the first run
+	if (metadata.num_resources_planned === undefined) {
+		metadata.num_resources_planned = await getNumResourcesPlanned(outputDir);
+		writeCopyMetadata(outputDir, metadata);
+	}
+	const numResourcesPlanned = metadata.num_resources_planned;
+
+	let applyErrors = false;
+
+	const existingTcId = await getNewToolchainId(outputDir);
+	if (!existingTcId) {
+		// create toolchain, which invokes script to create s2s if applicable
+		await runTerraformApply(true, outputDir, verbosity, `ibm_cd_toolchain.${metadata.toolchain_tf_name}`);
+	} else {
+		logger.info(`Toolchain ${existingTcId} already exists, skipping toolchain creation`, LOG_STAGES.tf);
+		if (metadata.include_s2s && fs.existsSync(s2sFailuresPath)) {
+			await logger.withSpinner(runS2sScript,
+				'Retrying failed service-to-service auth policies...',
+				'Service-to-service auth policies retried',
 				LOG_STAGES.tf,
 				outputDir,
-				verbosity
+				existingTcId,
+				apiKey,
+				timeSuffix
 			);
+		}
+	}
 
-			logger.info(`DRY_RUN: ${dryRun}, running terraform apply...`, LOG_STAGES.tf);
+	const hasS2SFailures = fs.existsSync(s2sFailuresPath);
+	if (hasS2SFailures) {
+		logger.print(''); // newline for spacing
+		logger.warn(`Warning! One or more service-to-service auth policies could not be created! See ${s2sFailuresPath} for more details.\n`, LOG_STAGES.setup, true);
+	}
 
-			// get total planned resources before applying
-			const numResourcesPlanned = await getNumResourcesPlanned(outputDir);
+	// create the rest
+	await runTerraformApply(skipUserConfirmation, outputDir, verbosity).catch((err) => {
+		logger.error(err, LOG_STAGES.tf);
+		applyErrors = true;
+	});
 
-			let applyErrors = false;
+	const newTcId = await getNewToolchainId(outputDir);
+	const numResourcesCreated = await getNumResourcesCreated(outputDir);
 
-			if (includeS2S) {
-				const s2sRequests = s2sAuthTools.map((item) => {
-					return {
-						parameters: item['parameters'],
-						serviceId: item.tool_type_id,
-						env_id: `ibm:yp:${targetRegion}`
-					};
-				});
-				fs.writeFileSync(resolve(`${outputDir}/create-s2s.json`), JSON.stringify(s2sRequests));
+	let numToolsFailed = 0;
+	if (newTcId) {
+		try {
+			await refreshSessionToken(session);
+			const [srcToolchainId, srcRegion] = parseToolchainCrn(metadata.source_toolchain_crn);
+			if (verbosity >= 1) logger.print(''); // newline for spacing
+			const report = await logger.withSpinner(verifyTools,
+				'Verifying copied toolchain...',
+				'Copied toolchain verified',
+				LOG_STAGES.info,
+				session.target.bearer,
+				newTcId,
+				targetRegion,
+				srcToolchainId,
+				srcRegion,
+				session.bearer
+			);
+			numToolsFailed = report.filter((r) => r.result === 'fail').length;
+		} catch (err) {
+			logger.warn(`Warning! Could not verify the copied toolchain: ${err.message}`, LOG_STAGES.info, true);
+		}
+	}
 
-				// copy script
-				const s2sScript = fs.readFileSync(resolve(__dirname, '../create-s2s-script.js'));
-				fs.writeFileSync(resolve(`${outputDir}/create-s2s-script.cjs`), s2sScript);
-			}
+	let numInsightsFailed = 0;
+	if (newTcId && metadata.copy_insights) {
+		try {
+			numInsightsFailed = await uploadInsights(session, outputDir, newTcId, targetRegion);
+		} catch (err) {
+			numInsightsFailed = 1;
+			logger.warn(`Warning! Could not upload the DevOps Insights data: ${err.message}`, LOG_STAGES.info, true);
+		}
+	}
 
-			// create toolchain, which invokes script to create s2s if applicable
-			await runTerraformApply(true, outputDir, verbosity, `ibm_cd_toolchain.${toolchainTfName}`);
+	if (verbosity >= 1) logger.print(''); // newline for spacing
+	logger.info(`Toolchain "${sourceName}" from ${sourceRegion} was cloned to "${targetName ?? sourceName}" in ${targetRegion} ${applyErrors ? 'with some errors' : 'successfully'}, with ${numResourcesCreated} / ${numResourcesPlanned} resources created!`, LOG_STAGES.info, true);
+	if (hasS2SFailures) logger.warn(`Warning! One or more service-to-service auth policies could not be created, see ${s2sFailuresPath} for more details.`, LOG_STAGES.info, true);
+	if (numToolsFailed > 0) logger.warn(`Warning! ${numToolsFailed} tool(s) failed verification and need to be reconfigured, see the verification report above for more details.`, LOG_STAGES.info, true);
+	if (numInsightsFailed > 0) logger.warn(`Warning! Some DevOps Insights data could not be uploaded, run the copy-toolchain command with '--resume ${outputDir}' to retry.`, LOG_STAGES.info, true);
+	if (newTcId) logger.info(`Cloned toolchain: https://${CLOUD_PLATFORM}/devops/toolchains/${newTcId}?env_id=ibm:yp:${targetRegion}`, LOG_STAGES.info, true);
 
-			const hasS2SFailures = fs.existsSync(resolve(`${outputDir}/.s2s-script-failures-${TIME_SUFFIX}`));
-			if (hasS2SFailures) {
-				logger.print(''); // newline for spacing
-				logger.warn(`Warning! One or more service-to-service auth policies could not be created! See ${outputDir}/.s2s-script-failures-${TIME_SUFFIX} for more details.\n`, LOG_STAGES.setup, true);
-			}
+	return { newToolchainId: newTcId, numResourcesCreated, numResourcesPlanned, applyErrors, numToolsFailed };
+}
 
-			// create the rest
-			await runTerraformApply(skipUserConfirmation, outputDir, verbosity).catch((err) => {
-				logger.error(err, LOG_STAGES.tf);
-				applyErrors = true;
-			});
+// uploads the DevOps Insights data exported to the output directory, records already uploaded by a previous run are skipped,
+// returns the number of records that failed to upload
+async function uploadInsights(session, outputDir, toolchainId, region) {
+	const insightsPath = resolve(outputDir, INSIGHTS_FILE);
+	const insightsData = JSON.parse(fs.readFileSync(insightsPath));
+
+	const report = await logger.withSpinner(uploadInsightsData,
+		'Uploading DevOps Insights data...',
+		'DevOps Insights data uploaded',
+		LOG_STAGES.info,
+		session.target.bearer,
+		toolchainId,
+		region,
+		insightsData
+	);
+	fs.writeFileSync(insightsPath, JSON.stringify(insightsData, null, 2));
+
+	const failed = report.filter((r) => r.status !== 'uploaded');
+	if (failed.length > 0) {
+		logger.warn('Warning! The following DevOps Insights data could not be uploaded to the copied toolchain:', LOG_STAGES.info, true);
+		logger.table(failed);
+	} else {
+		logger.info(`Uploaded ${report.length} DevOps Insights record(s) to the copied toolchain.`, LOG_STAGES.info);
+	}
+	return failed.length;
+}
 
-			const newTcId = await getNewToolchainId(outputDir);
-			const numResourcesCreated = await getNumResourcesCreated(outputDir);
+// offers to roll back a copy after terraform apply fails, returns whether it was rolled back
+async function offerRollback(session, outputDir, copyOptions) {
+	const { skipUserConfirmation, rollbackOnFailure, verbosity } = copyOptions;
+	const rollbackHint = `To remove the partially created toolchain, run the copy-toolchain command with '--rollback ${outputDir}'`;
 
-			if (verbosity >= 1) logger.print(''); // newline for spacing
-			logger.info(`Toolchain "${sourceToolchainData['name']}" from ${sourceRegion} was cloned to "${targetToolchainName ?? sourceToolchainData['name']}" in ${targetRegion} ${applyErrors ? 'with some errors' : 'successfully'}, with ${numResourcesCreated} / ${numResourcesPlanned} resources created!`, LOG_STAGES.info, true);
-			if (hasS2SFailures) logger.warn(`Warning! One or more service-to-service auth policies could not be created, see ${outputDir}/.s2s-script-failures-${TIME_SUFFIX} for more details.`, LOG_STAGES.info, true);
-			if (newTcId) logger.info(`Cloned toolchain: https://${CLOUD_PLATFORM}/devops/toolchains/${newTcId}?env_id=ibm:yp:${targetRegion}`, LOG_STAGES.info, true);
-		} else {
-			logger.info(`DRY_RUN: ${dryRun}, skipping terraform apply...`, LOG_STAGES.tf);
-			logger.info(`Successfully generated files for cloning toolchain "${sourceToolchainData['name']}" from ${sourceRegion} to "${targetToolchainName ?? sourceToolchainData['name']}" in ${targetRegion}.`, LOG_STAGES.info, true);
+	if (!rollbackOnFailure) {
+		// never prompt when running without user confirmation
+		if (skipUserConfirmation || verbosity === 0) {
+			logger.info(rollbackHint, LOG_STAGES.info, true);
+			return false;
 		}
-		logger.info(`Output directory: ${outputDir}`, LOG_STAGES.info, true);
+		logger.print(''); // newline for spacing
+		const shouldRollback = await promptUserYesNo('The copied toolchain may be incomplete. Do you want to roll back and remove the resources that were created?');
+		if (!shouldRollback) {
+			logger.info(rollbackHint, LOG_STAGES.info, true);
+			return false;
+		}
+	}
+
+	await rollbackCopy(session, outputDir, true, verbosity);
+	return true;
+}
+
+// removes the resources created by a copy with terraform destroy,
+// falls back to deleting the new toolchain, and its tool integrations with it, if terraform could not
+async function rollbackCopy(session, outputDir, skipUserConfirmation, verbosity) {
+	const metadata = readCopyMetadata(outputDir);
+	validateCopyAccount(session, metadata);
+	const targetRegion = metadata.target_region;
+	const toolchainAddress = `ibm_cd_toolchain.${metadata.toolchain_tf_name}`;
+
+	setTerraformEnv(session.target.apiKey, verbosity);
+
+	await logger.withSpinner(runTerraformInit,
+		'Running terraform init...',
+		'Terraform successfully initialized',
+		LOG_STAGES.tf,
+		outputDir,
+		verbosity
+	);
+
+	const resources = await getStateResources(outputDir);
+	if (resources.length === 0) {
+		logger.info(`No resources found in the Terraform state of "${outputDir}", nothing to roll back.`, LOG_STAGES.info, true);
+		return { removed: [], remaining: [] };
+	}
+	const newTcId = await getNewToolchainId(outputDir);
+
+	if (!skipUserConfirmation) {
+		logger.print(''); // newline for spacing
+		logger.table(resources.map((r) => ({ resource: r })));
+		await promptUserConfirmation(`The above ${resources.length} resource(s) will be removed from ${targetRegion}. Do you want to proceed?`, 'yes', 'Rollback cancelled.');
+	}
+
+	logger.info(`Rolling back copy of toolchain "${metadata.source_name}" to "${metadata.target_name}" in ${targetRegion}...`, LOG_STAGES.info, true);
+
+	await runTerraformDestroy(outputDir, verbosity).catch((err) => {
+		logger.error(err, LOG_STAGES.tf);
+	});
+
+	let remaining = await getStateResources(outputDir);
+
+	if (remaining.includes(toolchainAddress) && newTcId) {
+		logger.warn(`Warning! Terraform could not remove toolchain ${newTcId}, deleting it directly...`, LOG_STAGES.tf, true);
+		await deleteToolchain(session.target.bearer, newTcId, targetRegion);
+		// tool integrations and pipelines are deleted along with the toolchain
+		remaining = remaining.filter((r) => !r.startsWith('ibm_cd_'));
+		logger.warn(`Warning! The Terraform state in "${outputDir}" is now out of date.`, LOG_STAGES.tf, true);
+	}
+
+	const removed = resources.filter((r) => !remaining.includes(r));
+
+	if (verbosity >= 1) logger.print(''); // newline for spacing
+	logger.info(`Rolled back copy of toolchain "${metadata.source_name}", with ${removed.length} / ${resources.length} resources removed:`, LOG_STAGES.info, true);
+	if (removed.length > 0) logger.table(removed.map((r) => ({ removed: r })));
+	if (remaining.length > 0) {
+		logger.warn(`Warning! The following resources could not be removed:`, LOG_STAGES.info, true);
+		logger.table(remaining.map((r) => ({ remaining: r })));
+	}
+	if (metadata.include_s2s) logger.warn(`Note: Service-to-service authorizations created for the toolchain's tool integrations are not removed.`, LOG_STAGES.info, true);
+
+	return { removed, remaining };
+}
+
+// copies each toolchain in turn, then prints a summary of all copies
+// onCopied is called with each entry and its summary row, e.g. to record progress
+async function copyToolchains(session, entries, copyOptions, onCopied) {
+	const summary = [];
+
+	for (const [i, entry] of entries.entries()) {
+		logger.print(''); // newline for spacing
+		logger.info(`[${i + 1}/${entries.length}] Copying toolchain ${entry.toolchainCrn} to ${entry.region}...`, LOG_STAGES.info, true);
+
+		let result;
+		let errMsg = '';
+
+		try {
+			await refreshSessionToken(session);
+			result = await copyToolchain(session, entry, { ...copyOptions, timeSuffix: new Date().getTime() });
+		} catch (err) {
+			logCopyError(err, LOG_STAGES.setup, copyOptions.verbosity);
+			errMsg = err.message ?? `${err}`;
+		}
+
+		let status = 'failed';
+		let details = errMsg;
+		if (result) {
+			status = result.dryRun ? 'generated' : result.rolledBack ? 'rolled back' : result.applyErrors ? 'partial' : 'success';
+			details = result.newToolchainId && !result.rolledBack ?
+				`https://${CLOUD_PLATFORM}/devops/toolchains/${result.newToolchainId}?env_id=ibm:yp:${result.targetRegion}`
+				: `Output directory: ${result.outputDir}`;
+		}
+
+		const row = {
+			toolchain: result?.sourceName ?? entry.toolchainCrn,
+			target_region: entry.region,
+			target_name: result?.targetName ?? entry.name ?? '',
+			status: status,
+			resources: result && !result.dryRun ? `${result.numResourcesCreated} / ${result.numResourcesPlanned}` : '',
+			details: details
+		};
+		summary.push(row);
+		if (onCopied) onCopied(entry, row, result);
+	}
+
+	const numSucceeded = summary.filter((row) => row.status === 'success' || row.status === 'generated').length;
+
+	logger.print(''); // newline for spacing
+	logger.info(`Copied ${numSucceeded} / ${entries.length} toolchain(s):`, LOG_STAGES.info, true);
+	logger.table(summary, 'details');
+
+	return numSucceeded === entries.length;
+}
+
+// reads and validates a manifest of toolchains to copy, any option passed on the command line is used as a default
+function readManifest(filePath, options) {
+	let manifest;
+	try {
+		manifest = readDataFile(filePath);
 	} catch (err) {
-		if (err.message && err.stack) {
-			const errMsg = verbosity > 1 ? err.stack : err.message;
-			logger.error(errMsg, LOG_STAGES.tf);
+		throw Error(`Could not read manifest file '${filePath}': ${err.message}`);
+	}
+
+	const rawEntries = Array.isArray(manifest) ? manifest : manifest?.toolchains;
+	if (!Array.isArray(rawEntries) || rawEntries.length === 0) throw Error('Manifest file must contain a non-empty list of toolchains');
+
+	const defaults = {
+		region: options.region,
+		resource_group: options.resourceGroup,
+		tag: options.tag,
+		...(Array.isArray(manifest) ? {} : manifest.defaults)
+	};
+
+	return rawEntries.map((rawEntry, i) => {
+		const entry = { ...defaults, ...rawEntry };
+		if (!entry.toolchain_crn) throw Error(`Manifest entry ${i + 1} is missing 'toolchain_crn'`);
+		if (!entry.region) throw Error(`Manifest entry ${i + 1} is missing 'region'`);
+		if (!TARGET_REGIONS.includes(entry.region)) throw Error(`Manifest entry ${i + 1} has invalid region '${entry.region}', must be one of: ${TARGET_REGIONS.join(', ')}`);
+
+		return {
+			toolchainCrn: entry.toolchain_crn,
+			region: entry.region,
+			name: entry.name,
+			resourceGroup: entry.resource_group,
+			tag: entry.tag,
+			terraformDir: entry.terraform_dir
+		};
+	});
+}
+
+// bearer tokens expire after an hour, get a new one for long running copies
+async function refreshSessionToken(session) {
+	if (Date.now() - session.issuedAt > TOKEN_REFRESH_MS) {
+		session.bearer = await getBearerToken(session.apiKey);
+		session.target.bearer = session.target.apiKey === session.apiKey ? session.bearer : await getBearerToken(session.target.apiKey);
+		session.issuedAt = Date.now();
+	}
+}
+
+// the account the toolchain is copied to, which is the account of the API key unless a target API key is given
+async function getTargetSession(session, options) {
+	const targetApiKey = options.targetApikey || process.env['IBMCLOUD_TARGET_API_KEY'];
+	if (!targetApiKey) {
+		if (options.targetAccount && options.targetAccount !== session.accountId) {
+			throw Error(`A target API key must be provided with --target-apikey <api_key> to copy to account ${options.targetAccount}`);
 		}
-		await handleCleanup();
-		exit(1);
+		return { apiKey: session.apiKey, bearer: session.bearer, accountId: session.accountId };
 	}
 
-	await handleCleanup();
-	exit(0);
+	const bearer = await getBearerToken(targetApiKey);
+	const accountId = await getAccountId(bearer, targetApiKey);
+	if (options.targetAccount && options.targetAccount !== accountId) {
+		throw Error(`The target API key belongs to account ${accountId}, not the target account ${options.targetAccount}`);
+	}
+	return { apiKey: targetApiKey, bearer, accountId };
+}
+
+// writes the input and script used to create s2s auth policies once the toolchain is created
+function writeS2sFiles(outputDir, s2sAuthTools, targetRegion) {
+	const s2sRequests = s2sAuthTools.map((item) => {
+		return {
+			parameters: item['parameters'],
+			serviceId: item.tool_type_id,
+			env_id: `ibm:yp:${targetRegion}`
+		};
+	});
+	fs.writeFileSync(resolve(`${outputDir}/create-s2s.json`), JSON.stringify(s2sRequests));
+
+	// copy script
+	const s2sScript = fs.readFileSync(resolve(__dirname, '../create-s2s-script.js'));
+	fs.writeFileSync(resolve(`${outputDir}/create-s2s-script.cjs`), s2sScript);
 }
 
-async function handleCleanup() {
+function readCopyMetadata(outputDir) {
+	if (!fs.existsSync(outputDir)) throw Error(`Output directory "${outputDir}" does not exist`);
+
+	const metadataPath = resolve(outputDir, COPY_METADATA_FILE);
+	if (!fs.existsSync(metadataPath)) throw Error(`Could not find ${COPY_METADATA_FILE} in "${outputDir}", the directory was not generated by copy-toolchain or was generated by an older version. Run 'terraform apply' in the directory instead`);
+
+	return JSON.parse(fs.readFileSync(metadataPath));
+}
+
+// a copy to another account can only be resumed or rolled back with an API key for that account
+function validateCopyAccount(session, metadata) {
+	const targetAccountId = metadata.target_account_id ?? session.accountId;
+	if (targetAccountId !== session.target.accountId) {
+		throw Error(`The toolchain was copied to account ${targetAccountId}, please provide an API key for that account with --target-apikey <api_key>`);
+	}
+}
+
+function writeCopyMetadata(outputDir, metadata) {
+	fs.writeFileSync(resolve(outputDir, COPY_METADATA_FILE), JSON.stringify(metadata, null, 2));
+}
+
+function withStage(err, stage) {
+	if (err instanceof Error) err.stage ??= stage;
+	return err;
+}
+
+function logCopyError(err, stage, verbosity) {
+	if (err.message && err.stack) {
+		const errMsg = verbosity > 1 ? err.stack : err.message;
+		logger.error(errMsg, err.stage ?? stage);
+	}
+}
+
+function cleanupTempDir(tempDir) {
 	if (!DEBUG_MODE) {
-		if (fs.existsSync(TEMP_DIR)) fs.rmSync(TEMP_DIR, { recursive: true });
+		if (fs.existsSync(tempDir)) fs.rmSync(tempDir, { recursive: true });
 	}
-	await logger.close();
 }
 
-// parses crn arg into toolchain ID and region
-function parseToolchainCrn(crn) {
-	// doesn't strictly check crn format
-	const pattern = /^crn:.*:.*:.*:toolchain:.*:.*:.*::$/;
-	if (typeof crn === 'string' && pattern.test(crn)) {
-		const crnParts = crn.toLowerCase().split(':');
-		if (crnParts.length === 10 && SOURCE_REGIONS.includes(crnParts[5])) {
-			try {
-				validateToolchainId(crnParts[7]);
-			} catch {
-				throw Error('Provided toolchain CRN is invalid');
-			}
-			return [crnParts[7], crnParts[5]];
-		}
+// ensures the source toolchain and region are given, unless copying from a manifest or resuming / rolling back a copy
+function validateRequiredOptions(cmd) {
+	const opts = cmd.opts();
+	if (opts.resume || opts.rollback) return;
+	if (opts.manifest) {
+		if (opts.toolchainCrn || opts.name) cmd.error(`error: options '-c, --toolchain-crn <crn>' and '-n, --name <name>' cannot be used with '-m, --manifest <path>'`);
+		return;
 	}
-	throw Error('Provided toolchain CRN is invalid');
+	if (!opts.toolchainCrn) cmd.error(`error: required option '-c, --toolchain-crn <crn>' not specified`);
+	if (!opts.region) cmd.error(`error: required option '-r, --region <region>' not specified`);
 }
 
+export { copyToolchains };
 export default command;
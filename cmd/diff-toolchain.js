@@ -0,0 +1,297 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { exit } from 'node:process';
+import { resolve } from 'node:path';
+import fs from 'node:fs';
+
+import { Command, Option } from 'commander';
+
+import { parseEnvVar, replaceUrlRegion } from './utils/utils.js';
+import { logger, LOG_STAGES } from './utils/logger.js';
+import { getBearerToken, getToolchain, getToolchainTools, getPipelineData } from './utils/requests.js';
+import { parseToolchainCrn } from './utils/validate.js';
+
+import { DIFF_TOOLCHAIN_DESC } from '../config.js';
+
+const TIME_SUFFIX = new Date().getTime();
+const LOGS_DIR = '.logs';
+const LOG_DUMP = process.env['LOG_DUMP'] === 'false' ? false : true;	// when true or not specified, logs are also written to a log file in LOGS_DIR
+const DRIFT_EXIT_CODE = 2;
+
+// tool fields that always differ between a toolchain and its copy
+const IGNORED_TOOL_FIELDS = ['id', 'toolchain_id', 'toolchain_crn', 'crn', 'href', 'referent', 'resource_group_id', 'created_at', 'updated_at', 'updated_by'];
+// trigger fields that always differ, webhook secrets are not copied
+const IGNORED_TRIGGER_FIELDS = ['id', 'href', 'webhook_url', 'secret'];
+const IGNORED_DEFINITION_FIELDS = ['id', 'href'];
+// these integrations are converted to OAuth by copy-toolchain
+const OAUTH_CONVERTED_TOOLS = ['hostedgit', 'githubconsolidated'];
+
+const command = new Command('diff-toolchain')
+	.summary('Compares two toolchains and reports configuration drift.')
+	.description(DIFF_TOOLCHAIN_DESC)
+	.requiredOption('-s, --source-crn <crn>', 'The CRN of the original toolchain')
+	.requiredOption('-d, --dest-crn <crn>', 'The CRN of the toolchain to compare against the original, e.g. a copy')
+	.option('-a, --apikey <api_key>', 'API key used to authenticate. Must have IAM permission to read both toolchains')
+	.option('-G, --grit-mapping-file <path>', '(Optional) JSON file mapping GRIT project urls of the original toolchain to project urls used by the other toolchain')
+	.addOption(
+		new Option('-o, --output <format>', '(Optional) The output format of the differences')
+			.choices(['table', 'json'])
+			.default('table')
+	)
+	.option('-v, --verbose', '(Optional) Increase log output')
+	.option('-q, --quiet', '(Optional) Suppress non-essential output, only errors and the differences are displayed')
+	.showHelpAfterError()
+	.hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
+	.action(main);
+
+async function main(options) {
+	const isJson = options.output === 'json';
+	// keep stdout parsable when printing json
+	const verbosity = options.quiet || (isJson && !options.verbose) ? 0 : options.verbose ? 2 : 1;
+
+	logger.setVerbosity(verbosity);
+	if (LOG_DUMP) logger.createLogStream(`${LOGS_DIR}/diff-toolchain-${TIME_SUFFIX}.log`);
+
+	// redact apikey option in logs
+	const printOptions = { ...options };
+	printOptions.apikey ? printOptions.apikey = '<API KEY>' : delete printOptions.apikey;
+	logger.dump(`Options: ${JSON.stringify(printOptions)}\n`);
+
+	let differences;
+
+	try {
+		const [srcToolchainId, srcRegion] = parseToolchainCrn(options.sourceCrn);
+		const [destToolchainId, destRegion] = parseToolchainCrn(options.destCrn);
+
+		const gritMapping = options.gritMappingFile ? JSON.parse(fs.readFileSync(resolve(options.gritMappingFile))) : {};
+
+		const apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
+		const bearer = await getBearerToken(apiKey);
+
+		const [srcData, destData] = await logger.withSpinner(
+			() => Promise.all([
+				getComparableToolchain(bearer, srcToolchainId, srcRegion),
+				getComparableToolchain(bearer, destToolchainId, destRegion)
+			]),
+			'Reading toolchains...',
+			'Toolchains read',
+			LOG_STAGES.setup
+		);
+
+		differences = diffToolchains(srcData, destData, {
+			srcToolchainId: srcToolchainId,
+			srcRegion: srcRegion,
+			destRegion: destRegion,
+			gritMapping: gritMapping
+		});
+	}
+	catch (err) {
+		if (err.message && err.stack) {
+			const errMsg = verbosity > 1 ? err.stack : err.message;
+			logger.error(errMsg, LOG_STAGES.setup);
+		}
+		await logger.close();
+		exit(1);
+	}
+
+	if (isJson) {
+		logger.print(JSON.stringify({ source: options.sourceCrn, destination: options.destCrn, differences: differences }, null, 2));
+	} else if (differences.length > 0) {
+		logger.info(`Found ${differences.length} difference(s) between the toolchains:`, LOG_STAGES.info, true);
+		logger.table(differences);
+	} else {
+		logger.info('No differences found between the toolchains.', LOG_STAGES.info, true);
+	}
+
+	await logger.close();
+	exit(differences.length > 0 ? DRIFT_EXIT_CODE : 0);
+}
+
+// gets the toolchain with its tools, and the pipeline data of its tekton pipelines
+async function getComparableToolchain(bearer, toolchainId, region) {
+	const toolchain = await getToolchain(bearer, toolchainId, region);
+	const { tools } = await getToolchainTools(bearer, toolchainId, region);
+
+	const pipelines = {};
+	for (const tool of tools) {
+		if (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton') {
+			pipelines[tool.id] = await getPipelineData(bearer, tool.id, region);
+		}
+	}
+	return { toolchain, tools, pipelines };
+}
+
+// compares the original toolchain (src) against another toolchain (dest),
+// returns a list of differences that are not expected from copying the toolchain
+function diffToolchains(src, dest, context) {
+	const differences = [];
+	const addDifference = (resource, attribute, srcValue, destValue) => {
+		differences.push({
+			resource: resource,
+			attribute: attribute,
+			change: srcValue === undefined ? 'added' : destValue === undefined ? 'removed' : 'changed',
+			source: srcValue ?? '',
+			destination: destValue ?? ''
+		});
+	};
+
+	// toolchain name, resource group and region are chosen when copying
+	const srcDesc = src.toolchain.description ?? '';
+	const destDesc = stripCopiedFrom(dest.toolchain.description ?? '', context);
+	if (srcDesc !== destDesc && !(destDesc === '' && srcDesc === src.toolchain.name)) {
+		addDifference('toolchain', 'description', srcDesc, destDesc);
+	}
+	// a tag may be added when copying
+	(src.toolchain.tags ?? [])
+		.filter((tag) => !(dest.toolchain.tags ?? []).includes(tag))
+		.forEach((tag) => addDifference('toolchain', 'tags', tag, undefined));
+
+	// tools are matched by type and name, tool ids are replaced by these keys when comparing
+	const srcTools = keyBy(src.tools, toolKey);
+	const destTools = keyBy(dest.tools, toolKey);
+	const srcToolKeys = Object.fromEntries(Object.entries(srcTools).map(([k, t]) => [t.id, k]));
+	const destToolKeys = Object.fromEntries(Object.entries(destTools).map(([k, t]) => [t.id, k]));
+
+	const normalizeSrc = (value) => normalizeValue(value, srcToolKeys, context, true);
+	const normalizeDest = (value) => normalizeValue(value, destToolKeys, context, false);
+
+	const compare = (resource, srcObj, destObj) => {
+		const srcFlat = flatten(srcObj, normalizeSrc);
+		const destFlat = flatten(destObj, normalizeDest);
+		for (const attribute of new Set([...Object.keys(srcFlat), ...Object.keys(destFlat)])) {
+			if (srcFlat[attribute] !== destFlat[attribute]) addDifference(resource, attribute, srcFlat[attribute], destFlat[attribute]);
+		}
+	};
+
+	for (const key of new Set([...Object.keys(srcTools), ...Object.keys(destTools)])) {
+		const srcTool = srcTools[key];
+		const destTool = destTools[key];
+		if (!srcTool || !destTool) {
+			addDifference(`tool ${key}`, '', srcTool ? 'present' : undefined, destTool ? 'present' : undefined);
+			continue;
+		}
+
+		const srcParams = { ...srcTool.parameters };
+		const destParams = { ...destTool.parameters };
+		if (OAUTH_CONVERTED_TOOLS.includes(destTool.tool_type_id) && destParams.auth_type === 'oauth') {
+			for (const param of ['auth_type', 'api_token', 'integration_owner']) {
+				delete srcParams[param];
+				delete destParams[param];
+			}
+		}
+		compare(`tool ${key}`, { ...omit(srcTool, IGNORED_TOOL_FIELDS), parameters: srcParams }, { ...omit(destTool, IGNORED_TOOL_FIELDS), parameters: destParams });
+
+		if (src.pipelines[srcTool.id] && dest.pipelines[destTool.id]) {
+			diffPipelines(`pipeline ${key.split(':').slice(1).join(':')}`, src.pipelines[srcTool.id], dest.pipelines[destTool.id], { compare, addDifference, normalizeSrc, normalizeDest });
+		}
+	}
+
+	return differences;
+}
+
+function diffPipelines(resource, srcPipeline, destPipeline, { compare, addDifference, normalizeSrc, normalizeDest }) {
+	compare(resource, pickPipelineSettings(srcPipeline), pickPipelineSettings(destPipeline));
+
+	compare(`${resource} properties`, keyBy(srcPipeline.properties, (p) => p.name), keyBy(destPipeline.properties, (p) => p.name));
+
+	// definitions are matched by repository, branch or tag, and path
+	const definitionKey = (normalizeFn) => (d) => [normalizeFn(d.source?.properties?.url), d.source?.properties?.branch ?? d.source?.properties?.tag, d.source?.properties?.path].join(' ');
+	compare(`${resource} definitions`,
+		keyBy(srcPipeline.definitions?.map((d) => omit(d, IGNORED_DEFINITION_FIELDS)), definitionKey(normalizeSrc)),
+		keyBy(destPipeline.definitions?.map((d) => omit(d, IGNORED_DEFINITION_FIELDS)), definitionKey(normalizeDest))
+	);
+
+	const srcTriggers = keyBy(srcPipeline.triggers, (t) => t.name);
+	const destTriggers = keyBy(destPipeline.triggers, (t) => t.name);
+	for (const name of new Set([...Object.keys(srcTriggers), ...Object.keys(destTriggers)])) {
+		const srcTrigger = srcTriggers[name];
+		const destTrigger = destTriggers[name];
+		if (!srcTrigger || !destTrigger) {
+			addDifference(`${resource} trigger ${name}`, '', srcTrigger ? 'present' : undefined, destTrigger ? 'present' : undefined);
+			continue;
+		}
+
+		const srcComparable = { ...omit(srcTrigger, IGNORED_TRIGGER_FIELDS), properties: keyBy(srcTrigger.properties, (p) => p.name) };
+		const destComparable = { ...omit(destTrigger, IGNORED_TRIGGER_FIELDS), properties: keyBy(destTrigger.properties, (p) => p.name) };
+		// copy-toolchain disables all triggers except manual triggers
+		if (srcTrigger.enabled && !destTrigger.enabled && destTrigger.type !== 'manual') {
+			delete srcComparable.enabled;
+			delete destComparable.enabled;
+		}
+		compare(`${resource} trigger ${name}`, srcComparable, destComparable);
+	}
+}
+
+function pickPipelineSettings(pipeline) {
+	return {
+		worker: pipeline.worker?.name,
+		enable_notifications: pipeline.enable_notifications,
+		enable_partial_cloning: pipeline.enable_partial_cloning
+	};
+}
+
+function toolKey(tool) {
+	// legacy GHE integrations are converted when copying
+	const toolType = tool.tool_type_id === 'github_integrated' ? 'githubconsolidated' : tool.tool_type_id;
+	return `${toolType}:${tool.name || tool.parameters?.name || tool.parameters?.label || ''}`;
+}
+
+// maps items to an object by key, duplicate keys are numbered
+function keyBy(items, keyFn) {
+	const res = {};
+	(items ?? []).forEach((item) => {
+		let key = keyFn(item);
+		for (let i = 2; key in res; i++) key = `${keyFn(item)} (${i})`;
+		res[key] = item;
+	});
+	return res;
+}
+
+function omit(obj, fields) {
+	return Object.fromEntries(Object.entries(obj ?? {}).filter(([k]) => !fields.includes(k)));
+}
+
+// flattens an object into attribute paths, arrays of values are compared regardless of order
+function flatten(obj, normalizeFn, prefix = '', res = {}) {
+	for (const [k, v] of Object.entries(obj ?? {})) {
+		const path = prefix ? `${prefix}.${k}` : k;
+		if (Array.isArray(v) && v.every((i) => typeof i !== 'object')) {
+			res[path] = JSON.stringify(v.map(normalizeFn).sort());
+		} else if (v !== null && typeof v === 'object') {
+			flatten(v, normalizeFn, path, res);
+		} else if (v !== undefined && v !== null && v !== '') {
+			res[path] = normalizeFn(v);
+		}
+	}
+	return res;
+}
+
+// replaces values expected to change when copying: tool ids, and for the original toolchain, GRIT urls and region specific urls
+function normalizeValue(value, toolKeys, context, isSource) {
+	if (typeof value !== 'string') return value;
+	if (value in toolKeys) return `tool ${toolKeys[value]}`;
+	if (isSource && value in context.gritMapping) return context.gritMapping[value];
+	if (/^https?:\/\//.test(value)) {
+		// urls are formatted the same way on both sides
+		return replaceUrlRegion(value, isSource ? context.srcRegion : context.destRegion, context.destRegion) || value;
+	}
+	return value;
+}
+
+// removes the description prefix added by copy-toolchain
+function stripCopiedFrom(description, context) {
+	const prefix = `Copied from https://cloud.ibm.com/devops/toolchains/${context.srcToolchainId}?env_id=ibm:yp:${context.srcRegion}`;
+	if (!description.startsWith(prefix)) return description;
+
+	const rest = description.slice(prefix.length);
+	return rest.startsWith('; Original description: ') ? rest.slice('; Original description: '.length) : rest;
+}
+
+export default command;
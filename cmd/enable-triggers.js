@@ -0,0 +1,200 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { exit } from 'node:process';
+
+import { Command } from 'commander';
+
+import { parseEnvVar, promptUserConfirmation } from './utils/utils.js';
+import { logger, LOG_STAGES } from './utils/logger.js';
+import { getBearerToken, getToolchain, getToolchainTools, getPipelineData, updatePipelineTrigger } from './utils/requests.js';
+import { parseToolchainCrn, validateToolchainId } from './utils/validate.js';
+
+import { ENABLE_TRIGGERS_DESC, SOURCE_REGIONS } from '../config.js';
+
+const TIME_SUFFIX = new Date().getTime();
+const LOGS_DIR = '.logs';
+const LOG_DUMP = process.env['LOG_DUMP'] === 'false' ? false : true;	// when true or not specified, logs are also written to a log file in LOGS_DIR
+
+// description set on copied toolchains by copy-toolchain
+const COPIED_FROM_PATTERN = /^Copied from https:\/\/[^/]+\/devops\/toolchains\/([^?]+)\?env_id=ibm:yp:([a-z0-9-]+)/;
+
+const command = new Command('enable-triggers')
+	.summary('Enables the Tekton pipeline triggers of a copied toolchain that were disabled by copy-toolchain.')
+	.description(ENABLE_TRIGGERS_DESC)
+	.optionsGroup('Basic options:')
+	.requiredOption('-c, --toolchain-crn <crn>', 'The CRN of the copied toolchain')
+	.option('-a, --apikey <api_key>', 'API key used to authenticate. Must be a user API key, with IAM permission to edit the copied toolchain, and the source toolchain when disabling its triggers')
+	.option('--disable-source', '(Optional) Disable the matching triggers on the source toolchain, to switch over from the source toolchain to the copy')
+	.helpOption('-h, --help', 'Display help for command')
+	.optionsGroup('Advanced options:')
+	.option('-s, --source-crn <crn>', '(Optional) The CRN of the source toolchain (default: read from the "Copied from" description of the copied toolchain)')
+	.option('-D, --dry-run', '(Optional) Only list the triggers that would be enabled or disabled')
+	.option('-f, --force', '(Optional) Force the enable triggers command to run without user confirmation')
+	.option('-v, --verbose', '(Optional) Increase log output')
+	.option('-q, --quiet', '(Optional) Suppress non-essential output, only errors and critical warnings are displayed')
+	.showHelpAfterError()
+	.hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
+	.action(main);
+
+async function main(options) {
+	const verbosity = options.quiet ? 0 : options.verbose ? 2 : 1;
+
+	logger.setVerbosity(verbosity);
+	if (LOG_DUMP) logger.createLogStream(`${LOGS_DIR}/enable-triggers-${TIME_SUFFIX}.log`);
+
+	// redact apikey option in logs
+	const printOptions = { ...options };
+	printOptions.apikey ? printOptions.apikey = '<API KEY>' : delete printOptions.apikey;
+	logger.dump(`Options: ${JSON.stringify(printOptions)}\n`);
+
+	let hasFailures = false;
+
+	try {
+		const [toolchainId, region] = parseToolchainCrn(options.toolchainCrn);
+
+		const apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
+		const bearer = await getBearerToken(apiKey);
+
+		const toolchain = await getToolchain(bearer, toolchainId, region);
+		const [srcToolchainId, srcRegion] = options.sourceCrn ? parseToolchainCrn(options.sourceCrn) : parseCopiedFrom(toolchain.description);
+		const srcToolchain = await getToolchain(bearer, srcToolchainId, srcRegion);
+
+		const triggers = await logger.withSpinner(getTriggersToSwitch,
+			'Reading pipeline triggers...',
+			'Pipeline triggers read',
+			LOG_STAGES.setup,
+			bearer,
+			{ id: toolchainId, region: region },
+			{ id: srcToolchainId, region: srcRegion }
+		);
+
+		if (triggers.length === 0) {
+			logger.info(`No disabled triggers found in toolchain "${toolchain.name}" that are enabled in the source toolchain "${srcToolchain.name}".`, LOG_STAGES.info, true);
+			await logger.close();
+			exit(0);
+		}
+
+		logger.print(''); // newline for spacing
+		logger.table(triggers.map((t) => ({ pipeline: t.pipelineName, trigger: t.triggerName, type: t.type })));
+
+		const action = `The above ${triggers.length} trigger(s) will be enabled in toolchain "${toolchain.name}" (${region})` +
+			(options.disableSource ? ` and disabled in the source toolchain "${srcToolchain.name}" (${srcRegion})` : '');
+
+		if (options.dryRun) {
+			logger.info(`DRY_RUN: ${action.replace('will be', 'would be')}.`, LOG_STAGES.info, true);
+			await logger.close();
+			exit(0);
+		}
+
+		if (!options.force) {
+			await promptUserConfirmation(`${action}. Do you want to proceed?`, 'yes', 'Enabling triggers cancelled.');
+		}
+
+		const report = [];
+		for (const t of triggers) {
+			const row = { pipeline: t.pipelineName, trigger: t.triggerName, copy: 'enabled', source: options.disableSource ? '' : 'unchanged' };
+			try {
+				await updatePipelineTrigger(bearer, t.pipelineId, t.triggerId, region, { enabled: true });
+			} catch (err) {
+				row.copy = `failed: ${err.message}`;
+				hasFailures = true;
+			}
+			// only disable the source trigger once the copy has taken over
+			if (options.disableSource) {
+				if (row.copy !== 'enabled') {
+					row.source = 'skipped';
+				} else {
+					try {
+						await updatePipelineTrigger(bearer, t.srcPipelineId, t.srcTriggerId, srcRegion, { enabled: false });
+						row.source = 'disabled';
+					} catch (err) {
+						row.source = `failed: ${err.message}`;
+						hasFailures = true;
+					}
+				}
+			}
+			report.push(row);
+		}
+
+		logger.table(report);
+		if (hasFailures) {
+			logger.warn('Warning! Some triggers could not be updated, see the table above for more details.', LOG_STAGES.info, true);
+		} else {
+			logger.info(`Enabled ${report.length} trigger(s) in toolchain "${toolchain.name}"${options.disableSource ? ` and disabled them in "${srcToolchain.name}"` : ''}.`, LOG_STAGES.info, true);
+		}
+	}
+	catch (err) {
+		if (err.message && err.stack) {
+			const errMsg = verbosity > 1 ? err.stack : err.message;
+			logger.error(errMsg, LOG_STAGES.setup);
+		}
+		await logger.close();
+		exit(1);
+	}
+
+	await logger.close();
+	exit(hasFailures ? 1 : 0);
+}
+
+// finds the source toolchain from the description set by copy-toolchain
+function parseCopiedFrom(description) {
+	const match = COPIED_FROM_PATTERN.exec(description ?? '');
+	if (!match || !SOURCE_REGIONS.includes(match[2])) {
+		throw Error('Could not find the source toolchain in the description of the toolchain, please specify it with the -s, --source-crn option');
+	}
+	return [validateToolchainId(match[1]), match[2]];
+}
+
+// finds the disabled non-manual triggers of a toolchain that are enabled in the source toolchain,
+// pipelines are matched by name, then triggers by name
+async function getTriggersToSwitch(bearer, target, source) {
+	const getPipelines = async ({ id, region }) => {
+		const { tools } = await getToolchainTools(bearer, id, region);
+		const pipelines = {};
+		for (const tool of tools) {
+			if (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton') {
+				pipelines[tool.name || tool.parameters?.name] = await getPipelineData(bearer, tool.id, region);
+			}
+		}
+		return pipelines;
+	};
+
+	const pipelines = await getPipelines(target);
+	const srcPipelines = await getPipelines(source);
+
+	const triggers = [];
+	for (const [pipelineName, pipeline] of Object.entries(pipelines)) {
+		const srcPipeline = srcPipelines[pipelineName];
+		if (!srcPipeline) {
+			logger.warn(`Warning! Could not find pipeline "${pipelineName}" in the source toolchain, skipping its triggers`, LOG_STAGES.setup, true);
+			continue;
+		}
+
+		for (const trigger of pipeline.triggers ?? []) {
+			if (trigger.type === 'manual' || trigger.enabled) continue;
+
+			const srcTrigger = srcPipeline.triggers?.find((t) => t.name === trigger.name);
+			if (!srcTrigger?.enabled) continue;
+
+			triggers.push({
+				pipelineName: pipelineName,
+				pipelineId: pipeline.id,
+				triggerName: trigger.name,
+				triggerId: trigger.id,
+				type: trigger.type,
+				srcPipelineId: srcPipeline.id,
+				srcTriggerId: srcTrigger.id
+			});
+		}
+	}
+	return triggers;
+}
+
+export default command;
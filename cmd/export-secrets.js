@@ -9,315 +9,741 @@
 'use strict';
 
 import { exit } from 'node:process';
-import { Command } from 'commander';
-import { parseEnvVar, decomposeCrn, isSecretReference, promptUserSelection, promptUserYesNo, promptUserInput } from './utils/utils.js';
+import { extname, resolve } from 'node:path';
+import fs from 'node:fs';
+import { Command, Option } from 'commander';
+import Papa from 'papaparse';
+import { parseEnvVar, decomposeCrn, promptUserSelection, promptUserYesNo, promptUserInput, promptUserSecret, readDataFile } from './utils/utils.js';
 import { logger, LOG_STAGES } from './utils/logger.js';
-import { getBearerToken, getToolchain, getToolchainTools, getPipelineData, getSmInstances, createTool, getAccountId, getResourceGroups, migrateToolchainSecrets } from './utils/requests.js';
-import { SECRET_KEYS_MAP } from '../config.js';
+import { getBearerToken, getToolchain, getToolchainsByRegion, getSmInstances, createTool, createS2sAuthPolicy, getSecretsHealthcheck, getAccountId, getResourceGroups, migrateToolchainSecrets, getToolchainTools, getPipelineData, getSecret, getSecretsByName } from './utils/requests.js';
+import { findToolchainSecrets, updateSecretProperty } from './utils/secrets.js';
+import { SECRET_DESTINATIONS } from './utils/secret-destinations.js';
+import { validateTag } from './utils/validate.js';
 
 const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
+const TIME_SUFFIX = new Date().getTime();
+const DEFAULT_NAME_TEMPLATE = '{tool}.{trigger}.{property}';
+const HEALTHCHECK_ATTEMPTS = 12;
+const HEALTHCHECK_INTERVAL_MS = 5000;
 
 const command = new Command('export-secrets')
-    .description('Exports Toolchain stored secrets to a Secrets Manager instance')
-    .requiredOption('-c, --toolchain-crn <crn>', 'The CRN of the toolchain to check')
+    .description('Exports Toolchain stored secrets to a Secrets Manager, HashiCorp Vault or Key Protect instance')
+    .option('-c, --toolchain-crn <crn>', 'The CRN of the toolchain to check')
+    .addOption(
+        new Option('--undo <journal>', '(Optional) Restore the secrets migrated to Secrets Manager, as recorded in a journal file, to stored secrets')
+            .conflicts(['toolchainCrn', 'check'])
+    )
     .option('-a, --apikey <api_key>', 'API key used to authenticate. Must have IAM permission to read toolchains and create secrets in Secrets Manager')
     .option('--check', '(Optional) Checks and lists any stored secrets in your toolchain')
+    .addOption(
+        new Option('-A, --all', '(Optional) Check all toolchains in the account instead of a single toolchain, optionally filtered by region, resource group and tag')
+            .conflicts(['toolchainCrn', 'undo'])
+    )
+    .option('-r, --region <region>', '(Optional) With --all, only check the toolchains in this region')
+    .option('-g, --resource-group <resource_group>', '(Optional) With --all, only check the toolchains in this resource group, by name or ID')
+    .option('-t, --tag <tag>', '(Optional) With --all, only check the toolchains with this tag')
+    .option('--report <path>', '(Optional) Write a report of the stored secrets found to a CSV (.csv) or JSON (.json) file')
+    .addOption(
+        new Option('--destination <type>', '(Optional) The secret store to migrate secrets to')
+            .choices(Object.keys(SECRET_DESTINATIONS))
+            .default('secrets-manager')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--integration <name>', '(Optional) The name of the HashiCorp Vault or Key Protect tool integration to migrate secrets with')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--values-file <path>', '(Optional) JSON or YAML file mapping secrets, named \'<tool>.<trigger>.<property>\', to their values, for destinations other than Secrets Manager')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--vault-token <token>', '(Optional) Token used to write secrets to HashiCorp Vault, defaults to the VAULT_TOKEN environment variable')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--vault-kv-version <version>', '(Optional) The version of the HashiCorp Vault KV secrets engine')
+            .choices(['1', '2'])
+            .default('2')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--sm-instance <crn>', '(Optional) The CRN of the Secrets Manager instance to migrate secrets to')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--secret-group <id>', '(Optional) The ID of the secret group to create secrets in, for secrets without a secret group in the policy file')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--name-template <template>', '(Optional) Template of the names of the secrets to create, using {toolchain}, {tool}, {trigger} and {property}')
+            .default(DEFAULT_NAME_TEMPLATE)
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--policy-file <path>', '(Optional) JSON or YAML file mapping tool types and property names to the IDs of the secret groups to create secrets in')
+            .conflicts(['check'])
+    )
+    .addOption(
+        new Option('--journal <path>', '(Optional) The journal file recording the migrated secrets, to undo the migration with --undo (default: "export-secrets-journal-<timestamp>.json")')
+            .conflicts(['check', 'undo'])
+    )
+    .addOption(
+        new Option('-y, --yes', '(Optional) Migrate all secrets without prompting, the --sm-instance option is required with the Secrets Manager destination')
+            .conflicts(['check'])
+    )
     .option('-v, --verbose', '(Optional) Increase log output')
     .showHelpAfterError()
+    .hook('preAction', validateRequiredOptions)
     .hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
     .action(main);
 
 async function main(options) {
-    const toolchainCrn = options.toolchainCrn;
     const verbosity = options.verbose ? 2 : 1;
     const runMigration = !options.check;
+    const skipPrompts = options.yes || false;
 
     logger.setVerbosity(verbosity);
 
     let apiKey;
     let bearer;
-    let accountId;
-    let toolchainId;
-    let region;
-    let toolchainData;
-    let tools;
 
     try {
-        const toolResults = [];
-        const pipelineResults = [];
-
         apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
         if (!apiKey) {
             logger.error('Missing IBM Cloud IAM API key', LOG_STAGES.setup);
             exit(1);
         };
 
-        try {
-            const decomposedCrn = decomposeCrn(toolchainCrn);
-            toolchainId = decomposedCrn.serviceInstance;
-            region = decomposedCrn.location;
-        } catch {
-            throw Error('Provided toolchain CRN is invalid');
+        if (options.undo) {
+            await undoMigration(apiKey, options.undo, skipPrompts);
+            return;
         }
 
-        // Display toolchain data to user
-        const getToolchainData = async () => {
-            bearer = await getBearerToken(apiKey);
-            toolchainData = await getToolchain(bearer, toolchainId, region);
-        }
-        await logger.withSpinner(getToolchainData, `Reading Toolchain`, 'Valid Toolchain found!');
-        logger.print(`Name: ${toolchainData.name}\nRegion: ${region}\nResource Group ID: ${toolchainData.resource_group_id}\nURL: https://${CLOUD_PLATFORM}/devops/toolchains/${toolchainId}?env_id=ibm:yp:${region}\n`);
+        const toSecretsManager = options.destination === 'secrets-manager';
+        if (skipPrompts && toSecretsManager && !options.smInstance) throw Error('The --sm-instance option is required with --yes');
+        if (options.secretGroup) validateSecretGroupId(options.secretGroup);
+        if (options.tag) validateTag(options.tag);
+        if (options.report && !['.csv', '.json'].includes(extname(options.report).toLowerCase())) throw Error('The report file must be a .csv or .json file');
 
-        // Check for plain-text secrets in all tools
-        const exportSecrets = async () => {
-            const getToolsRes = await getToolchainTools(bearer, toolchainId, region);
-            tools = getToolsRes.tools;
-
-            if (tools.length > 0) {
-                for (let i = 0; i < tools.length; i++) {
-                    const tool = tools[i];
-                    const toolUrl = `https://${CLOUD_PLATFORM}/devops/toolchains/${tool.toolchain_id}/configure/${tool.id}?env_id=ibm:yp:${region}`;
-                    const toolName = (tool.name || tool.parameters?.name || tool.parameters?.label || '').replace(/\s+/g, '+');
-
-                    // Skip iff it's GitHub/GitLab/GRIT integration with OAuth
-                    if (['githubconsolidated', 'github_integrated', 'gitlab', 'hostedgit'].includes(tool.tool_type_id) && (tool.parameters?.auth_type === '' || tool.parameters?.auth_type === 'oauth'))
-                        continue;
-
-                    // Check tool integrations for any plain text secret values
-                    if (SECRET_KEYS_MAP[tool.tool_type_id]) {
-                        SECRET_KEYS_MAP[tool.tool_type_id].forEach((entry) => {
-                            const updateableSecretParam = entry.key;
-                            if (tool.parameters[updateableSecretParam] && !isSecretReference(tool.parameters[updateableSecretParam]) && tool.parameters[updateableSecretParam].length > 0) {
-                                toolResults.push({
-                                    'Tool ID': tool.id,
-                                    'Tool Name': toolName,
-                                    'Tool Type': tool.tool_type_id,
-                                    'Property Name': updateableSecretParam,
-                                    'Url': toolUrl
-                                });
-                            };
-                        });
-                    };
-
-                    // For tekton pipelines, check for any plain text secret properties
-                    if (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton') {
-                        const pipelineBaseUrl = `https://${CLOUD_PLATFORM}/devops/pipelines/tekton/${tool.id}`
-                        const pipelineData = await getPipelineData(bearer, tool.id, region);
-
-                        pipelineData?.properties?.forEach((prop) => {
-                            if (prop.type === 'secure' && !isSecretReference(prop.value) && prop.value.length > 0) {
-                                pipelineResults.push({
-                                    'Pipeline ID': pipelineData.id,
-                                    'Pipeline Name': toolName,
-                                    'Trigger Name': '',
-                                    'Property Name': prop.name,
-                                    'Url': pipelineBaseUrl + `/config/envProperties?env_id=ibm:yp:${region}`,
-                                });
-                            };
-                        });
-
-                        pipelineData?.triggers.forEach((trigger) => {
-                            trigger.properties?.forEach((prop) => {
-                                if (prop.type === 'secure' && !isSecretReference(prop.value) && prop.value.length > 0) {
-                                    pipelineResults.push({
-                                        'Pipeline ID': pipelineData.id,
-                                        'Pipeline Name': toolName,
-                                        'Trigger Name': trigger.name,
-                                        'Trigger ID': trigger.id,
-                                        'Property Name': prop.name,
-                                        'Url': pipelineBaseUrl + `?env_id=ibm:yp:${region}`
-                                    });
-                                };
-                            });
-                        });
-                    }
-                };
+        const policy = options.policyFile ? readDataFile(options.policyFile) : {};
+        Object.values({ ...policy.tools, ...policy.properties }).forEach((groupId) => validateSecretGroupId(groupId));
+
+        const values = options.valuesFile ? readDataFile(options.valuesFile) : {};
+
+        const journalFile = resolve(options.journal || `export-secrets-journal-${TIME_SUFFIX}.json`);
+        const context = { apiKey, options, policy, values, skipPrompts, journalFile, journal: readJournal(journalFile) };
+
+        const toolchains = [];
+        if (options.all) {
+            const searchToolchains = async () => {
+                bearer = await getBearerToken(apiKey);
+                context.accountId = await getAccountId(bearer, apiKey);
+
+                let rgId;
+                if (options.resourceGroup) {
+                    const resourceGroups = await getResourceGroups(bearer, context.accountId, [options.resourceGroup]);
+                    rgId = resourceGroups[0].id;
+                }
+                toolchains.push(...await getToolchainsByRegion(bearer, context.accountId, options.region, rgId, options.tag));
             };
-        };
+            await logger.withSpinner(searchToolchains, 'Searching for toolchains...', 'Toolchain search complete');
+            logger.print(`${toolchains.length} toolchain(s) found\n`);
+        } else {
+            let toolchainData;
+            let toolchainId;
+            let region;
+            try {
+                const decomposedCrn = decomposeCrn(options.toolchainCrn);
+                toolchainId = decomposedCrn.serviceInstance;
+                region = decomposedCrn.location;
+            } catch {
+                throw Error('Provided toolchain CRN is invalid');
+            }
+
+            // Display toolchain data to user
+            const getToolchainData = async () => {
+                bearer = await getBearerToken(apiKey);
+                toolchainData = await getToolchain(bearer, toolchainId, region);
+            }
+            await logger.withSpinner(getToolchainData, `Reading Toolchain`, 'Valid Toolchain found!');
+            logger.print(`Name: ${toolchainData.name}\nRegion: ${region}\nResource Group ID: ${toolchainData.resource_group_id}\nURL: https://${CLOUD_PLATFORM}/devops/toolchains/${toolchainId}?env_id=ibm:yp:${region}\n`);
 
-        await logger.withSpinner(exportSecrets, `Checking secrets for toolchain ${toolchainCrn}`, 'Secret check complete!');
+            toolchains.push({ crn: options.toolchainCrn, name: toolchainData.name, resource_group_id: toolchainData.resource_group_id, region_id: region });
+        }
+        context.bearer = bearer;
 
-        const numTotalSecrets = toolResults.length + pipelineResults.length;
+        // Check for plain-text secrets in all tools
+        const results = [];
+        const failedToolchains = [];
+        for (const toolchain of toolchains) {
+            const toolchainId = decomposeCrn(toolchain.crn).serviceInstance;
+            try {
+                const result = await logger.withSpinner(findToolchainSecrets, `Checking secrets for toolchain ${toolchain.crn}`, 'Secret check complete!', '', bearer, toolchainId, toolchain.region_id);
+                results.push({ toolchain: { ...toolchain, id: toolchainId }, ...result });
+            } catch (err) {
+                if (!options.all) throw err;
+                failedToolchains.push({ 'Toolchain Name': toolchain.name, 'Region': toolchain.region_id, 'Error': err.message, 'Url': `https://${CLOUD_PLATFORM}/devops/toolchains/${toolchainId}?env_id=ibm:yp:${toolchain.region_id}` });
+            }
+        }
+
+        const numTotalSecrets = results.reduce((n, r) => n + r.toolResults.length + r.pipelineResults.length, 0);
         if (numTotalSecrets > 0) {
             logger.warn(`\nNote: ${numTotalSecrets} locally stored secret(s) found!`)
         } else {
             logger.success('\nNo locally stored secrets found!');
         }
-        if (toolResults.length > 0) {
-            logger.print();
-            logger.print('The following plain text properties were found in tool integrations bound to the toolchain:');
-            logger.table(toolResults, 'Url');
+        const numOtherSecrets = results.reduce((n, r) => n + r.otherResults.length, 0);
+        if (numOtherSecrets > 0) logger.warn(`Note: ${numOtherSecrets} other possible secret(s) found, which must be moved to Secrets Manager manually!`);
+
+        if (options.all) {
+            const toolchainSummary = results
+                .filter((r) => r.toolResults.length + r.pipelineResults.length + r.otherResults.length > 0)
+                .map((r) => ({
+                    'Toolchain Name': r.toolchain.name,
+                    'Region': r.toolchain.region_id,
+                    'Tool Secrets': r.toolResults.length,
+                    'Pipeline Secrets': r.pipelineResults.length,
+                    'Other Secrets': r.otherResults.length,
+                    'Url': `https://${CLOUD_PLATFORM}/devops/toolchains/${r.toolchain.id}?env_id=ibm:yp:${r.toolchain.region_id}`
+                }));
+            if (toolchainSummary.length > 0) {
+                logger.print();
+                logger.print('The following toolchain(s) have plain text properties in tool integrations or Tekton pipelines:');
+                logger.table(toolchainSummary, 'Url');
+            }
+            if (failedToolchains.length > 0) {
+                logger.print();
+                logger.warn('The following toolchain(s) could not be checked:');
+                logger.table(failedToolchains, 'Url');
+            }
+        } else {
+            const { toolResults, pipelineResults, otherResults } = results[0];
+            if (toolResults.length > 0) {
+                logger.print();
+                logger.print('The following plain text properties were found in tool integrations bound to the toolchain:');
+                logger.table(toolResults, 'Url', ['Reason']);
+            }
+            if (pipelineResults.length > 0) {
+                logger.print();
+                logger.print('The following plain text properties were found in Tekton pipeline(s) bound to the toolchain:');
+                logger.table(pipelineResults, 'Url', ['Trigger ID', 'Reason']);
+            }
+            if (otherResults.length > 0) {
+                logger.print();
+                logger.print('The following webhook trigger secrets and values that look like credentials cannot be migrated by this command, and must be moved to Secrets Manager manually:');
+                logger.table(otherResults, 'Url', ['Tool ID']);
+            }
         }
-        if (pipelineResults.length > 0) {
-            logger.print();
-            logger.print('The following plain text properties were found in Tekton pipeline(s) bound to the toolchain:');
-            logger.table(pipelineResults, 'Url', ['Trigger ID']);
+
+        if (options.report) {
+            writeReport(options.report, results);
+            logger.print(`\nReport written to "${resolve(options.report)}"`);
         }
+
         if (numTotalSecrets > 0 && !runMigration) {
             logger.warn(`\nNote: ${numTotalSecrets} locally stored secret(s) found!\nSecrets stored locally in Toolchains and Pipelines will not be exported when copying a toolchain. It is recommended that secrets be moved to a Secrets Manager instance and converted to secret references if these secrets are required.`);
             logger.warn(`\nTo migrate secrets to Secrets Manager, ensure that you have provisioned an instance of Secrets Manager which you have write access to and rerun the command without the additional param '--check' to move the secrets into Secrets Manager.`)
         }
 
-        // Facilitate Secrets Migration
-        const migrateSecrets = async () => {
-            accountId = await getAccountId(bearer, apiKey);
-
-            let allSmInstances = await getSmInstances(bearer, accountId);
-            if (allSmInstances.length === 0) {
-                logger.warn('No Secrets Manager instances found. Please create a Secrets Manager instance and try again.');
-                return;
+        if (numTotalSecrets > 0 && runMigration) {
+            for (const result of results.filter((r) => r.toolResults.length + r.pipelineResults.length > 0)) {
+                if (options.all) logger.print(`\n======= Toolchain "${result.toolchain.name}" (${result.toolchain.region_id}) =======`);
+                if (toSecretsManager) await migrateSecrets(context, result);
+                else await migrateSecretsToIntegration(context, result);
             }
+            if (context.journal.migrations.length > 0) logger.print(`\nJournal of the migrated secrets: "${journalFile}", use the --undo option with this file to restore them`);
+        }
+    }
+    catch (err) {
+        if (err.message && err.stack) {
+            const errMsg = verbosity > 1 ? err.stack : err.message;
+            logger.error(errMsg);
+        }
+        exit(1);
+    }
+};
 
-            const resourceGroups = await getResourceGroups(bearer, accountId, allSmInstances.map(inst => inst.resource_group_id));
-            const groupNameById = Object.fromEntries(
-                resourceGroups.map(g => [g.id, g.name])
-            );
-            allSmInstances = allSmInstances.map(inst => ({
-                ...inst,
-                resource_group_name: groupNameById[inst.resource_group_id] || 'Unknown'
-            }));
-
-            const instanceChoice = await promptUserSelection(
-                'Select a Secrets Manager Instance to migrate secret(s) to:',
-                allSmInstances.map(inst => (`\n    Name: ${inst.name} (${inst.id})\n    Region: ${inst.region_id}\n    Resource Group: ${inst.resource_group_name}`))
-            );
-            const smInstance = allSmInstances[instanceChoice];
-
-            // Check if there's an existing Secrets Manager tool integration
-            let hasSmIntegration = false;
-            for (const tool of tools) {
-                if (tool.state === 'configured' && tool.tool_type_id === 'secretsmanager') {
-                    if (
-                        (tool.parameters?.['instance-id-type'] === 'instance-name' && tool.parameters?.['instance-name'] === smInstance.name &&
-                            tool.parameters?.region === smInstance.region_id && tool.parameters?.['resource-group'] === smInstance.resource_group_name) ||
-                        (tool.parameters?.['instance-id-type'] === 'instance-crn' && tool.parameters?.['instance-crn'] === smInstance.crn)
-                    ) {
-                        hasSmIntegration = true;
-                        break;
-                    }
-                }
+// Facilitate Secrets Migration
+async function migrateSecrets(context, result) {
+    const { apiKey, bearer, options, policy, skipPrompts } = context;
+    const { toolchain, tools, toolResults, pipelineResults } = result;
+    const toolchainId = toolchain.id;
+    const region = toolchain.region_id;
+
+    context.accountId ??= await getAccountId(bearer, apiKey);
+
+    // instances are only fetched once when migrating secrets of multiple toolchains
+    if (!context.allSmInstances) {
+        const allSmInstances = await getSmInstances(bearer, context.accountId);
+        const resourceGroups = allSmInstances.length > 0 ? await getResourceGroups(bearer, context.accountId, allSmInstances.map(inst => inst.resource_group_id)) : [];
+        const groupNameById = Object.fromEntries(
+            resourceGroups.map(g => [g.id, g.name])
+        );
+        context.allSmInstances = allSmInstances.map(inst => ({
+            ...inst,
+            resource_group_name: groupNameById[inst.resource_group_id] || 'Unknown'
+        }));
+    }
+    const allSmInstances = context.allSmInstances;
+    if (allSmInstances.length === 0) {
+        logger.warn('No Secrets Manager instances found. Please create a Secrets Manager instance and try again.');
+        return;
+    }
+
+    let smInstance;
+    if (options.smInstance) {
+        smInstance = allSmInstances.find(inst => [inst.crn, inst.id, inst.name].includes(options.smInstance));
+        if (!smInstance) throw Error(`Secrets Manager instance "${options.smInstance}" not found, or you do not have permission to view it`);
+    } else {
+        const instanceChoice = await promptUserSelection(
+            'Select a Secrets Manager Instance to migrate secret(s) to:',
+            allSmInstances.map(inst => (`\n    Name: ${inst.name} (${inst.id})\n    Region: ${inst.region_id}\n    Resource Group: ${inst.resource_group_name}`))
+        );
+        smInstance = allSmInstances[instanceChoice];
+    }
+
+    // Check if there's an existing Secrets Manager tool integration
+    let smTool = tools.find((tool) => tool.state === 'configured' && tool.tool_type_id === 'secretsmanager' && (
+        (tool.parameters?.['instance-id-type'] === 'instance-name' && tool.parameters?.['instance-name'] === smInstance.name &&
+            tool.parameters?.region === smInstance.region_id && tool.parameters?.['resource-group'] === smInstance.resource_group_name) ||
+        (tool.parameters?.['instance-id-type'] === 'instance-crn' && tool.parameters?.['instance-crn'] === smInstance.crn)
+    ));
+
+    // Prompt user to create a Secrets Manager tool integration if it doesn't already exist
+    if (!smTool) {
+        logger.warn('No valid Secrets Manager tool integration found.');
+        const toCreateSmTool = skipPrompts || await promptUserYesNo(`Create a Secrets Manager tool integration?`);
+        if (!toCreateSmTool) {
+            logger.warn('Toolchain secrets will not be migrated to Secrets Manager. Please create a Secrets Manager tool integration and try again.');
+            return;
+        }
+        const smToolName = skipPrompts ? '' : await promptUserInput(`Enter the name of the Secrets Manager tool integration to create [Press 'enter' to skip]: `, '', async (input) => {
+            if (input.length > 128) {
+                throw new Error('The tool integration name must be between 0 and 128 characters long.');
             }
+            // from https://cloud.ibm.com/apidocs/toolchain#create-tool
+            else if (input !== '' && !/^([^\x00-\x7F]|[a-zA-Z0-9-._ ])+$/.test(input)) {
+                throw new Error('Provided tool integration name contains invalid characters.');
+            }
+        });
+
+        const smToolParams = {
+            'tool_type_id': 'secretsmanager',
+            'parameters': {
+                'name': smToolName || 'Secrets Manager',
+                'instance-id-type': 'instance-crn',
+                'instance-crn': smInstance.crn,
+            }
+        };
+        try {
+            smTool = await createTool(bearer, toolchainId, region, smToolParams);
+            logger.success(`Secrets Manager tool integration created: ${smTool.parameters.name} (${smTool.id})`);
+        } catch (e) {
+            logger.error(`Failed to create Secrets Manager tool integration: ${e.message}`);
+            throw e;
+        }
+    }
 
-            // Prompt user to create a Secrets Manager tool integration if it doesn't already exist
-            if (!hasSmIntegration) {
-                logger.warn('No valid Secrets Manager tool integration found.');
-                const toCreateSmTool = await promptUserYesNo(`Create a Secrets Manager tool integration?`);
-                if (!toCreateSmTool) {
-                    logger.warn('Toolchain secrets will not be migrated to Secrets Manager. Please create a Secrets Manager tool integration and try again.');
-                    return;
-                }
-                const smToolName = await promptUserInput(`Enter the name of the Secrets Manager tool integration to create [Press 'enter' to skip]: `, '', async (input) => {
-                    if (input.length > 128) {
-                        throw new Error('The tool integration name must be between 0 and 128 characters long.');
-                    }
-                    // from https://cloud.ibm.com/apidocs/toolchain#create-tool
-                    else if (input !== '' && !/^([^\x00-\x7F]|[a-zA-Z0-9-._ ])+$/.test(input)) {
-                        throw new Error('Provided tool integration name contains invalid characters.');
-                    }
-                });
-
-                const smToolParams = {
-                    'tool_type_id': 'secretsmanager',
-                    'parameters': {
-                        'name': smToolName || 'Secrets Manager',
-                        'instance-id-type': 'instance-crn',
-                        'instance-crn': smInstance.crn,
-                    }
-                };
-                try {
-                    const smTool = await createTool(bearer, toolchainId, region, smToolParams);
-                    logger.success(`Secrets Manager tool integration created: ${smTool.parameters.name} (${smTool.id})`);
-                    const smToolUrl = `https://${CLOUD_PLATFORM}/devops/toolchains/${toolchainId}/configure/${smTool.id}?env_id=ibm:yp:${region}`;
-                    logger.warn(`Create necessary IAM service authorization for toolchain to access Secrets Manager service instance:\n${smToolUrl}`);
-                } catch (e) {
-                    logger.error(`Failed to create Secrets Manager tool integration: ${e.message}`);
-                    throw e;
-                }
+    // the toolchain needs an IAM authorization to read the secrets, which is created if the health check fails
+    const smToolUrl = `https://${CLOUD_PLATFORM}/devops/toolchains/${toolchainId}/configure/${smTool.id}?env_id=ibm:yp:${region}`;
+    const smToolName = smTool.parameters?.name || '';
+    let isHealthy = await getSecretsHealthcheck(bearer, toolchainId, smToolName, region).then(() => true, () => false);
+    if (!isHealthy) {
+        logger.warn(`The Secrets Manager tool integration '${smToolName}' cannot access the Secrets Manager instance.`);
+        const toCreateS2s = skipPrompts || await promptUserYesNo('Create the IAM service authorization for the toolchain to access the Secrets Manager instance?');
+        if (toCreateS2s) {
+            try {
+                await logger.withSpinner(createS2sAuthPolicy, 'Creating IAM service authorization...', 'IAM service authorization created', '', bearer, toolchainId, 'secretsmanager', region, smTool.parameters);
+                await logger.withSpinner(waitForSecretsHealthcheck, 'Verifying Secrets Manager tool integration...', 'Secrets Manager tool integration verified', '', bearer, toolchainId, smToolName, region);
+                isHealthy = true;
+            } catch (e) {
+                logger.error(e.message);
             }
+        }
+    }
+    if (!isHealthy) {
+        logger.warn(`Toolchain secrets will not be migrated to Secrets Manager. Create the necessary IAM service authorization for the toolchain to access the Secrets Manager instance and try again:\n${smToolUrl}`);
+        return;
+    }
 
-            let numSecretsMigrated = 0;
-            const allSecrets = toolResults.concat(pipelineResults);
-            for (let i = 0; i < allSecrets.length; i++) {
-                logger.print('-------');
-                const secret = allSecrets[i];
-                const toolName = secret['Tool Name'] || secret['Pipeline Name'];
-                const toolType = secret['Tool Type'] || 'pipeline';
-                const toolId = secret['Tool ID'] || secret['Pipeline ID'];
-                const triggerId = secret['Trigger ID'];
-                const triggerName = secret['Trigger Name'];
-                const toolSecretKey = secret['Property Name'];
-                const toolSecretUrl = secret['Url'];
-                const secretPath = `${toolName || toolType}.${triggerName ? triggerName + '.' : ''}${toolSecretKey}`;
-
-                logger.print(`[${i + 1}]\n    Tool integration: ${toolName ? `'${toolName}' (${toolType})` : toolType}\n    Property: '${triggerName ? triggerName + '.' : ''}${toolSecretKey}'\n    URL: ${toolSecretUrl}\n`);
-
-                const shouldMigrateSecret = await promptUserYesNo(`Migrate this secret to Secrets Manager instance '${smInstance.name}'?`);
-                if (!shouldMigrateSecret) {
-                    continue;
-                }
+    let numSecretsMigrated = 0;
+    const summary = [];
+    const allSecrets = toolResults.concat(pipelineResults);
+    for (let i = 0; i < allSecrets.length; i++) {
+        logger.print('-------');
+        const secret = allSecrets[i];
+        const toolName = secret['Tool Name'] || secret['Pipeline Name'];
+        const toolType = secret['Tool Type'] || 'pipeline';
+        const toolId = secret['Tool ID'] || secret['Pipeline ID'];
+        const triggerId = secret['Trigger ID'];
+        const triggerName = secret['Trigger Name'];
+        const toolSecretKey = secret['Property Name'];
+        const toolSecretUrl = secret['Url'];
+        const secretPath = formatSecretName(options.nameTemplate, {
+            toolchain: toolchain.name,
+            tool: toolName || toolType,
+            trigger: triggerName,
+            property: toolSecretKey
+        });
+        // the policy file takes precedence over the --secret-group option, otherwise the user is prompted
+        const policyGroupId = policy.properties?.[toolSecretKey] ?? policy.tools?.[toolType] ?? options.secretGroup;
+        const summaryRow = {
+            'Tool Name': toolName || toolType,
+            'Property Name': `${triggerName ? triggerName + '.' : ''}${toolSecretKey}`,
+            'Secret Name': secretPath,
+            'Secret Group ID': policyGroupId ?? 'default',
+            'Status': 'skipped'
+        };
+        summary.push(summaryRow);
 
-                const smSecretName = await promptUserInput(`Enter the name of the secret to create [${secretPath}]: `, secretPath, async (input) => {
-                    if (input.length < 2 || input.length > 256) {
-                        throw new Error('The secret name must be between 2 and 256 characters long.');
-                    }
-                    // from https://cloud.ibm.com/apidocs/secrets-manager/secrets-manager-v2#create-secret
-                    else if (!/^[A-Za-z0-9_][A-Za-z0-9_]*(?:_*-*\.*[A-Za-z0-9]*)*[A-Za-z0-9]+$/.test(input)) {
-                        throw new Error('Provided secret name contains invalid characters.');
-                    }
-                });
-
-                const smSecretGroupId = await promptUserInput(`Enter the ID of the secret group to create secret '${smSecretName}' in: `, 'default', async (input) => {
-                    if (input.length < 7 || input.length > 36) {
-                        throw new Error('The secret group name must be between 7 and 36 characters long.');
-                    }
-                    // from https://cloud.ibm.com/apidocs/secrets-manager/secrets-manager-v2#create-secret
-                    else if (!/^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|default)$/.test(input)) {
-                        throw new Error('Provided secret group name is invalid. It should be a UUID or the word \'default\'');
-                    }
-                });
-
-                try {
-                    const commonProps = {
-                        toolchain_id: toolchainId,
-                        destination: {
-                            is_private: true,
-                            is_production: CLOUD_PLATFORM === 'cloud.ibm.com',
-                            secrets_manager_crn: smInstance.crn,
-                            secret_name: smSecretName,
-                            secret_group_id: smSecretGroupId
-                        }
-                    };
-                    const payload = {
-                        source: {
-                            type: toolType === 'pipeline' ? toolType : 'tool',
-                            id: toolType === 'pipeline' ? (triggerId || toolId) : toolId,
-                            secret_key: toolSecretKey,
-                            kind: toolType === 'pipeline' ? (triggerId ? 'trigger' : 'env') : undefined,
-                            parent_id: toolType === 'pipeline' ? (triggerId ? toolId : undefined) : undefined
-                        },
-                        ...commonProps
-                    };
-
-                    const smSecretUrl = await migrateToolchainSecrets(bearer, payload, region);
-                    logger.success(`Secret successfully migrated!\nSecret URL: ${smSecretUrl}`);
-                    numSecretsMigrated += 1;
-                }
-                catch (e) {
-                    logger.error(`Failed to migrate secret '${secretPath}'. Error message: ${e.message}`, '', true);
+        logger.print(`[${i + 1}]\n    Tool integration: ${toolName ? `'${toolName}' (${toolType})` : toolType}\n    Property: '${triggerName ? triggerName + '.' : ''}${toolSecretKey}'\n    URL: ${toolSecretUrl}\n`);
+
+        const shouldMigrateSecret = skipPrompts || await promptUserYesNo(`Migrate this secret to Secrets Manager instance '${smInstance.name}'?`);
+        if (!shouldMigrateSecret) {
+            continue;
+        }
+
+        try {
+            const smSecretName = skipPrompts
+                ? validateSecretName(secretPath)
+                : await promptUserInput(`Enter the name of the secret to create [${secretPath}]: `, secretPath, async (input) => validateSecretName(input));
+
+            const smSecretGroupId = skipPrompts || policyGroupId
+                ? policyGroupId ?? 'default'
+                : await promptUserInput(`Enter the ID of the secret group to create secret '${smSecretName}' in: `, 'default', async (input) => validateSecretGroupId(input));
+
+            summaryRow['Secret Name'] = smSecretName;
+            summaryRow['Secret Group ID'] = smSecretGroupId;
+
+            const commonProps = {
+                toolchain_id: toolchainId,
+                destination: {
+                    is_private: true,
+                    is_production: CLOUD_PLATFORM === 'cloud.ibm.com',
+                    secrets_manager_crn: smInstance.crn,
+                    secret_name: smSecretName,
+                    secret_group_id: smSecretGroupId
                 }
-            }
-            logger.success(`Toolchain secrets migration complete, ${numSecretsMigrated} secret(s) successfully migrated.`);
+            };
+            const payload = {
+                source: {
+                    type: toolType === 'pipeline' ? toolType : 'tool',
+                    id: toolType === 'pipeline' ? (triggerId || toolId) : toolId,
+                    secret_key: toolSecretKey,
+                    kind: toolType === 'pipeline' ? (triggerId ? 'trigger' : 'env') : undefined,
+                    parent_id: toolType === 'pipeline' ? (triggerId ? toolId : undefined) : undefined
+                },
+                ...commonProps
+            };
+
+            const smSecretUrl = await migrateToolchainSecrets(bearer, payload, region);
+            logger.success(`Secret successfully migrated!\nSecret URL: ${smSecretUrl}`);
+            summaryRow['Status'] = 'migrated';
+            numSecretsMigrated += 1;
+
+            // the toolchain replaces the stored secret with a reference of its choosing, which is read back for the journal
+            const target = getSecretTarget(toolchain, secret);
+            const reference = await readSecretProperty(bearer, target).catch(() => undefined);
+            recordMigration(context, {
+                ...target,
+                destination: 'secrets-manager',
+                reference: reference,
+                secret_url: smSecretUrl,
+                secrets_manager_crn: smInstance.crn,
+                secret_group_id: smSecretGroupId,
+                secret_name: smSecretName
+            });
+        }
+        catch (e) {
+            summaryRow['Status'] = 'failed';
+            logger.error(`Failed to migrate secret '${secretPath}'. Error message: ${e.message}`, '', true);
+        }
+    }
+    logger.print();
+    logger.print('Summary of the secrets migration:');
+    logger.table(summary);
+    logger.success(`Toolchain secrets migration complete, ${numSecretsMigrated} secret(s) successfully migrated.`);
+}
+
+// IAM authorizations take a while to apply, so the health check is retried before giving up
+async function waitForSecretsHealthcheck(bearer, toolchainId, toolName, region) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await getSecretsHealthcheck(bearer, toolchainId, toolName, region);
+        } catch (err) {
+            if (attempt >= HEALTHCHECK_ATTEMPTS) throw err;
+            await new Promise(resolve => setTimeout(resolve, HEALTHCHECK_INTERVAL_MS));
+        }
+    }
+}
+
+// Stores secret values in a HashiCorp Vault or Key Protect instance and replaces them with references,
+// as the toolchain can only export secrets to Secrets Manager
+async function migrateSecretsToIntegration(context, result) {
+    const { apiKey, bearer, options, values, skipPrompts } = context;
+    const { toolchain, tools, toolResults, pipelineResults } = result;
+    const destination = SECRET_DESTINATIONS[options.destination];
+
+    const integrations = tools.filter((tool) => tool.state === 'configured' && tool.tool_type_id === destination.toolType);
+    let integration;
+    if (options.integration) {
+        integration = integrations.find((tool) => tool.parameters?.name === options.integration);
+        if (!integration) throw Error(`${destination.label} tool integration "${options.integration}" not found in toolchain "${toolchain.name}"`);
+    } else if (integrations.length === 0) {
+        logger.warn(`No configured ${destination.label} tool integration found. Please add a ${destination.label} tool integration to the toolchain and try again.`);
+        return;
+    } else if (integrations.length === 1) {
+        integration = integrations[0];
+    } else if (skipPrompts) {
+        throw Error(`Toolchain "${toolchain.name}" has multiple ${destination.label} tool integrations, use the --integration option to select one`);
+    } else {
+        const integrationChoice = await promptUserSelection(
+            `Select a ${destination.label} tool integration to migrate secret(s) with:`,
+            integrations.map((tool) => `${tool.parameters?.name} (${tool.id})`)
+        );
+        integration = integrations[integrationChoice];
+    }
+    const integrationName = integration.parameters?.name;
+    // from VAULT_REGEX, the integration name of a secret reference cannot contain dots
+    if (!/^[ a-zA-Z0-9_-]+$/.test(integrationName)) throw Error(`The name of the ${destination.label} tool integration "${integrationName}" cannot be used in secret references`);
+
+    context.accountId ??= await getAccountId(bearer, apiKey);
+    const storeSecret = await destination.init({ bearer, accountId: context.accountId, integration, options });
+
+    let numSecretsMigrated = 0;
+    const summary = [];
+    const allSecrets = toolResults.concat(pipelineResults);
+    for (let i = 0; i < allSecrets.length; i++) {
+        logger.print('-------');
+        const secret = allSecrets[i];
+        const toolName = secret['Tool Name'] || secret['Pipeline Name'];
+        const toolType = secret['Tool Type'] || 'pipeline';
+        const triggerName = secret['Trigger Name'];
+        const toolSecretKey = secret['Property Name'];
+        const nameValues = { toolchain: toolchain.name, tool: toolName || toolType, trigger: triggerName, property: toolSecretKey };
+        const secretPath = formatSecretName(options.nameTemplate, nameValues);
+        // the values file does not depend on the name template
+        const valueKey = formatSecretName(DEFAULT_NAME_TEMPLATE, nameValues);
+        const summaryRow = {
+            'Tool Name': toolName || toolType,
+            'Property Name': `${triggerName ? triggerName + '.' : ''}${toolSecretKey}`,
+            'Secret Name': secretPath,
+            'Status': 'skipped'
         };
+        summary.push(summaryRow);
+
+        logger.print(`[${i + 1}]\n    Tool integration: ${toolName ? `'${toolName}' (${toolType})` : toolType}\n    Property: '${triggerName ? triggerName + '.' : ''}${toolSecretKey}'\n    URL: ${secret['Url']}\n`);
+
+        const shouldMigrateSecret = skipPrompts || await promptUserYesNo(`Migrate this secret to ${destination.label} tool integration '${integrationName}'?`);
+        if (!shouldMigrateSecret) {
+            continue;
+        }
 
-        if (numTotalSecrets > 0 && runMigration) await migrateSecrets();
+        try {
+            const secretName = skipPrompts
+                ? validateSecretName(secretPath)
+                : await promptUserInput(`Enter the name of the secret to create [${secretPath}]: `, secretPath, async (input) => validateSecretName(input));
+            summaryRow['Secret Name'] = secretName;
+
+            // the toolchain only returns hashes of stored secrets, so the values have to be provided again
+            let value = values[valueKey];
+            if (value === undefined && !skipPrompts) value = await promptUserSecret(`Enter the value of secret '${secretName}': `);
+            if (!value) throw Error(`No value provided for '${valueKey}'`);
+
+            const secretUrl = await storeSecret(secretName, String(value));
+            const target = getSecretTarget(toolchain, secret);
+            const reference = `{vault::${integrationName}.${secretName}}`;
+            await updateSecretProperty(bearer, target, reference);
+
+            logger.success(`Secret successfully migrated!\nSecret URL: ${secretUrl}`);
+            summaryRow['Status'] = 'migrated';
+            numSecretsMigrated += 1;
+            recordMigration(context, {
+                ...target,
+                destination: options.destination,
+                reference: reference,
+                secret_url: secretUrl,
+                secret_name: secretName
+            });
+        }
+        catch (e) {
+            summaryRow['Status'] = 'failed';
+            logger.error(`Failed to migrate secret '${secretPath}'. Error message: ${e.message}`, '', true);
+        }
     }
-    catch (err) {
-        if (err.message && err.stack) {
-            const errMsg = verbosity > 1 ? err.stack : err.message;
-            logger.error(errMsg);
+    logger.print();
+    logger.print('Summary of the secrets migration:');
+    logger.table(summary);
+    logger.success(`Toolchain secrets migration complete, ${numSecretsMigrated} secret(s) successfully migrated.`);
+}
+
+// Restores the secrets recorded in a journal file, with the values of their Secrets Manager secrets
+async function undoMigration(apiKey, journalFile, skipPrompts) {
+    journalFile = resolve(journalFile);
+    if (!fs.existsSync(journalFile)) throw Error(`Journal file "${journalFile}" not found`);
+    const journal = readJournal(journalFile);
+    const migrations = journal.migrations.filter((m) => !m.restored_at);
+    if (migrations.length === 0) {
+        logger.success(`All secrets of journal "${journalFile}" have already been restored.`);
+        return;
+    }
+
+    const bearer = await logger.withSpinner(getBearerToken, 'Authenticating...', 'Authenticated', '', apiKey);
+
+    let numSecretsRestored = 0;
+    const summary = [];
+    for (let i = 0; i < migrations.length; i++) {
+        logger.print('-------');
+        const migration = migrations[i];
+        const resourceId = migration.tool_id || migration.trigger_id || migration.pipeline_id;
+        const summaryRow = {
+            'Resource': `${migration.kind} ${resourceId}`,
+            'Property Name': migration.property,
+            'Secret Name': migration.secret_name,
+            'Status': 'skipped'
+        };
+        summary.push(summaryRow);
+
+        logger.print(`[${i + 1}]\n    ${migration.kind === 'tool' ? 'Tool integration' : migration.kind === 'trigger' ? 'Trigger' : 'Pipeline'}: ${resourceId}\n    Property: '${migration.property}'\n    Reference: ${migration.reference}\n`);
+
+        if (migration.destination !== 'secrets-manager') {
+            logger.warn(`Secret '${migration.secret_name}' was migrated to ${SECRET_DESTINATIONS[migration.destination]?.label ?? migration.destination}, only secrets migrated to Secrets Manager can be restored.`);
+            continue;
+        }
+        const shouldRestoreSecret = skipPrompts || await promptUserYesNo(`Restore the value of secret '${migration.secret_name}' to this property?`);
+        if (!shouldRestoreSecret) {
+            continue;
+        }
+
+        try {
+            // leaves properties changed since the migration alone
+            const currentValue = await readSecretProperty(bearer, migration);
+            if (migration.reference && currentValue !== migration.reference) throw Error('The property no longer references the migrated secret');
+
+            const { serviceInstance, location } = decomposeCrn(migration.secrets_manager_crn);
+            const [smSecret] = await getSecretsByName(bearer, serviceInstance, location, migration.secret_group_id, migration.secret_name);
+            if (!smSecret) throw Error(`Secret '${migration.secret_name}' not found in the Secrets Manager instance`);
+            const { payload } = await getSecret(bearer, serviceInstance, location, smSecret.id);
+
+            await updateSecretProperty(bearer, migration, payload);
+            migration.restored_at = new Date().toISOString();
+            writeJournal(journalFile, journal);
+
+            logger.success('Secret successfully restored!');
+            summaryRow['Status'] = 'restored';
+            numSecretsRestored += 1;
+        }
+        catch (e) {
+            summaryRow['Status'] = 'failed';
+            logger.error(`Failed to restore secret '${migration.secret_name}'. Error message: ${e.message}`, '', true);
         }
-        exit(1);
     }
-};
+    logger.print();
+    logger.print('Summary of the secrets restore:');
+    logger.table(summary);
+    logger.success(`Toolchain secrets restore complete, ${numSecretsRestored} secret(s) successfully restored. The secrets were not deleted from Secrets Manager.`);
+}
+
+// where a secret is stored in the toolchain, as recorded in the journal
+function getSecretTarget(toolchain, secret) {
+    return {
+        toolchain_id: toolchain.id,
+        region: toolchain.region_id,
+        kind: secret['Tool ID'] ? 'tool' : secret['Trigger ID'] ? 'trigger' : 'env',
+        tool_id: secret['Tool ID'],
+        pipeline_id: secret['Pipeline ID'],
+        trigger_id: secret['Trigger ID'],
+        property: secret['Property Name']
+    };
+}
+
+async function readSecretProperty(bearer, target) {
+    if (target.kind === 'tool') {
+        const { tools } = await getToolchainTools(bearer, target.toolchain_id, target.region);
+        return tools.find((t) => t.id === target.tool_id)?.parameters?.[target.property];
+    }
+    const pipelineData = await getPipelineData(bearer, target.pipeline_id, target.region);
+    const properties = target.kind === 'trigger'
+        ? pipelineData.triggers?.find((t) => t.id === target.trigger_id)?.properties
+        : pipelineData.properties;
+    return properties?.find((p) => p.name === target.property)?.value;
+}
+
+function readJournal(journalFile) {
+    if (!fs.existsSync(journalFile)) return { migrations: [] };
+
+    const journal = JSON.parse(fs.readFileSync(journalFile));
+    journal.migrations ??= [];
+    return journal;
+}
+
+function writeJournal(journalFile, journal) {
+    fs.writeFileSync(journalFile, JSON.stringify(journal, null, 2));
+}
+
+// written after each secret, so that an interrupted migration can still be undone
+function recordMigration(context, migration) {
+    context.journal.migrations.push({ ...migration, migrated_at: new Date().toISOString() });
+    writeJournal(context.journalFile, context.journal);
+}
+
+// one row per secret found, with the toolchain it was found in
+function writeReport(filePath, results) {
+    const rows = results.flatMap(({ toolchain, toolResults, pipelineResults, otherResults }) => [
+        ...toolResults.map((r) => ({ tool_type: r['Tool Type'], tool_name: r['Tool Name'], tool_id: r['Tool ID'], trigger_name: '', trigger_id: '', property: r['Property Name'], confidence: r['Confidence'], reason: r['Reason'], migratable: true, url: r['Url'] })),
+        ...pipelineResults.map((r) => ({ tool_type: 'pipeline', tool_name: r['Pipeline Name'], tool_id: r['Pipeline ID'], trigger_name: r['Trigger Name'], trigger_id: r['Trigger ID'] ?? '', property: r['Property Name'], confidence: r['Confidence'], reason: r['Reason'], migratable: true, url: r['Url'] })),
+        ...otherResults.map((r) => ({ tool_type: r['Tool Type'], tool_name: r['Tool Name'], tool_id: r['Tool ID'], trigger_name: r['Trigger Name'], trigger_id: '', property: r['Property Name'], confidence: r['Confidence'], reason: r['Reason'], migratable: false, url: r['Url'] }))
+    ].map((row) => ({
+        toolchain_name: toolchain.name,
+        toolchain_crn: toolchain.crn,
+        region: toolchain.region_id,
+        resource_group_id: toolchain.resource_group_id,
+        ...row
+    })));
+
+    const contents = extname(filePath).toLowerCase() === '.csv'
+        ? Papa.unparse(rows, { columns: ['toolchain_name', 'toolchain_crn', 'region', 'resource_group_id', 'tool_type', 'tool_name', 'tool_id', 'trigger_name', 'trigger_id', 'property', 'confidence', 'reason', 'migratable', 'url'] })
+        : JSON.stringify(rows, null, 2);
+    fs.writeFileSync(resolve(filePath), contents + '\n');
+}
+
+// replaces the {toolchain}, {tool}, {trigger} and {property} placeholders, dropping the separators of empty values
+function formatSecretName(template, values) {
+    return template
+        .replace(/\{(toolchain|tool|trigger|property)\}/g, (_, key) => (values[key] ?? '').replace(/[^A-Za-z0-9_.-]+/g, '-'))
+        .replace(/\.{2,}/g, '.')
+        .replace(/^\.|\.$/g, '');
+}
+
+function validateSecretName(input) {
+    if (input.length < 2 || input.length > 256) {
+        throw new Error('The secret name must be between 2 and 256 characters long.');
+    }
+    // from https://cloud.ibm.com/apidocs/secrets-manager/secrets-manager-v2#create-secret
+    else if (!/^[A-Za-z0-9_][A-Za-z0-9_]*(?:_*-*\.*[A-Za-z0-9]*)*[A-Za-z0-9]+$/.test(input)) {
+        throw new Error(`Provided secret name '${input}' contains invalid characters.`);
+    }
+    return input;
+}
+
+function validateSecretGroupId(input) {
+    if (input.length < 7 || input.length > 36) {
+        throw new Error('The secret group name must be between 7 and 36 characters long.');
+    }
+    // from https://cloud.ibm.com/apidocs/secrets-manager/secrets-manager-v2#create-secret
+    else if (!/^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|default)$/.test(input)) {
+        throw new Error(`Provided secret group ID '${input}' is invalid. It should be a UUID or the word 'default'`);
+    }
+    return input;
+}
+
+function validateRequiredOptions(cmd) {
+    const opts = cmd.opts();
+    if (!opts.toolchainCrn && !opts.all && !opts.undo) cmd.error(`error: one of the options '-c, --toolchain-crn <crn>', '-A, --all' or '--undo <journal>' must be specified`);
+    if (!opts.all && (opts.region || opts.resourceGroup || opts.tag)) cmd.error(`error: options '-r, --region <region>', '-g, --resource-group <resource_group>' and '-t, --tag <tag>' can only be used with '-A, --all'`);
+    if (opts.destination === 'secrets-manager' && (opts.integration || opts.valuesFile || opts.vaultToken)) cmd.error(`error: options '--integration <name>', '--values-file <path>' and '--vault-token <token>' cannot be used with the Secrets Manager destination`);
+    if (opts.destination !== 'secrets-manager' && (opts.smInstance || opts.secretGroup || opts.policyFile)) cmd.error(`error: options '--sm-instance <crn>', '--secret-group <id>' and '--policy-file <path>' can only be used with the Secrets Manager destination`);
+}
 
 export default command;
@@ -0,0 +1,187 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { exit } from 'node:process';
+import { resolve } from 'node:path';
+import fs from 'node:fs';
+
+import { Command, Option } from 'commander';
+
+import { parseEnvVar } from './utils/utils.js';
+import { logger, LOG_STAGES } from './utils/logger.js';
+import { initProviderFile, setupExportTerraformFiles, runTerraformInit } from './utils/terraform.js';
+import { getBearerToken, getToolchain, getToolchainTools } from './utils/requests.js';
+import { validatePrereqsVersions, parseToolchainCrn } from './utils/validate.js';
+import { importTerraform } from './utils/import-terraform.js';
+
+import { EXPORT_TERRAFORM_DESC, SUPPORTED_TOOLS_MAP } from '../config.js';
+
+import packageJson from '../package.json' with { type: 'json' };
+
+const TIME_SUFFIX = new Date().getTime();
+const LOGS_DIR = '.logs';
+const TEMP_DIR = '.export-temp-' + TIME_SUFFIX;
+const LOG_DUMP = process.env['LOG_DUMP'] === 'false' ? false : true;	// when true or not specified, logs are also written to a log file in LOGS_DIR
+const DEBUG_MODE = process.env['DEBUG_MODE'] === 'true'; // when true, temp folder is preserved
+const OUTPUT_DIR = 'export-' + TIME_SUFFIX;
+const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
+
+const command = new Command('export-terraform')
+	.summary('Exports an existing toolchain, including tool integrations and Tekton pipelines, as Terraform.')
+	.description(EXPORT_TERRAFORM_DESC)
+	.optionsGroup('Basic options:')
+	.requiredOption('-c, --toolchain-crn <crn>', 'The CRN of the toolchain to export')
+	.option('-a, --apikey <api_key>', 'API key used to authenticate. Must be a user API key, with IAM permission to read the toolchain')
+	.helpOption('-h, --help', 'Display help for command')
+	.optionsGroup('Advanced options:')
+	.option('-d, --terraform-dir <path>', '(Optional) The target local directory to store the generated Terraform (.tf) files')
+	.option('-C, --compact', '(Optional) Generate all resources in a single resources.tf file')
+	.addOption(
+		new Option('-M, --module', '(Optional) Generate each Tekton pipeline as a child module in the modules directory, with variables for the repository URLs, worker and tool integrations it uses')
+			.conflicts(['compact'])
+	)
+	.option('-v, --verbose', '(Optional) Increase log output')
+	.option('-q, --quiet', '(Optional) Suppress non-essential output, only errors and critical warnings are displayed')
+	.showHelpAfterError()
+	.hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
+	.action(main);
+
+async function main(options) {
+	const verbosity = options.quiet ? 0 : options.verbose ? 2 : 1;
+	const outputDir = resolve(options.terraformDir || OUTPUT_DIR);
+	const isCompact = options.compact || false;
+	const isModule = options.module || false;
+
+	logger.setVerbosity(verbosity);
+	if (LOG_DUMP) logger.createLogStream(`${LOGS_DIR}/export-terraform-${TIME_SUFFIX}.log`);
+
+	// redact apikey option in logs
+	const printOptions = { ...options };
+	printOptions.apikey ? printOptions.apikey = '<API KEY>' : delete printOptions.apikey;
+	logger.dump(`Options: ${JSON.stringify(printOptions)}\n`);
+
+	let stage = LOG_STAGES.setup;
+
+	try {
+		validatePrereqsVersions();
+		logger.info(`\x1b[32m✔\x1b[0m cd-tools Version:  ${packageJson.version}`, LOG_STAGES.setup);
+
+		// check for existing .tf files in output directory
+		if (fs.existsSync(outputDir)) {
+			let files = fs.readdirSync(outputDir, { recursive: true });
+			files = files.filter((f) => f.endsWith('.tf'));
+			if (files.length > 0) throw Error(`Output directory already has ${files.length} '.tf' files, please specify a different output directory`);
+		}
+
+		const [toolchainId, region] = parseToolchainCrn(options.toolchainCrn);
+
+		const apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
+		const bearer = await getBearerToken(apiKey);
+
+		const toolchain = await logger.withSpinner(getToolchain,
+			'Validating toolchain...',
+			'Toolchain validated',
+			LOG_STAGES.setup,
+			bearer,
+			toolchainId,
+			region
+		);
+		if (options.toolchainCrn != toolchain['crn']) throw Error('Provided toolchain CRN is invalid');
+
+		await warnUnsupportedTools(bearer, toolchainId, region);
+
+		stage = LOG_STAGES.import;
+		logger.info(`Exporting toolchain "${toolchain['name']}" (${region})...`, LOG_STAGES.info, true);
+
+		if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR);
+
+		let nonSecretRefs;
+
+		const importTerraformWrapper = async () => {
+			setTimeout(() => {
+				logger.updateSpinnerMsg('Still importing toolchain...');
+			}, 5000);
+
+			await initProviderFile(region, TEMP_DIR);
+			await runTerraformInit(TEMP_DIR, verbosity);
+
+			[, nonSecretRefs] = await importTerraform(bearer, apiKey, region, toolchainId, toolchain['name'], TEMP_DIR, isCompact, verbosity);
+		};
+
+		await logger.withSpinner(
+			importTerraformWrapper,
+			'Importing toolchain...',
+			'Toolchain successfully imported',
+			LOG_STAGES.import
+		);
+
+		if (!fs.existsSync(outputDir)) {
+			logger.info(`Creating output directory "${outputDir}"...`, LOG_STAGES.import);
+			fs.mkdirSync(outputDir, { recursive: true });
+		}
+
+		await setupExportTerraformFiles({
+			srcRegion: region,
+			tempDir: TEMP_DIR,
+			outputDir: outputDir,
+			isCompact: isCompact,
+			isModule: isModule
+		});
+
+		if (nonSecretRefs.length > 0) {
+			logger.warn('Warning! The following generated terraform resource contains hashed secret(s) that cannot be exported, the placeholder values must be replaced with the secret or a secret reference before running terraform apply:', LOG_STAGES.import, true);
+			logger.table(nonSecretRefs);
+		}
+
+		logger.print(''); // newline for spacing
+		logger.info(`Toolchain "${toolchain['name']}" exported to "${outputDir}".`, LOG_STAGES.info, true);
+		logger.info(`Run 'terraform init' and 'terraform plan' in the directory, the plan should only show the resources to be imported.`, LOG_STAGES.info, true);
+	}
+	catch (err) {
+		if (err.message && err.stack) {
+			const errMsg = verbosity > 1 ? err.stack : err.message;
+			logger.error(errMsg, stage);
+		}
+		cleanupTempDir();
+		await logger.close();
+		exit(1);
+	}
+
+	cleanupTempDir();
+	await logger.close();
+	exit(0);
+}
+
+// tool integrations without a terraform resource are left out of the export,
+// classic pipelines are exported as a tool integration only, without their stages
+async function warnUnsupportedTools(bearer, toolchainId, region) {
+	const { tools } = await getToolchainTools(bearer, toolchainId, region);
+
+	const unsupportedTools = tools
+		.filter((tool) => !(tool.tool_type_id in SUPPORTED_TOOLS_MAP) || (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'classic'))
+		.map((tool) => ({
+			tool_name: tool.name || tool.parameters?.name || tool.parameters?.label || '',
+			type: tool.tool_type_id === 'pipeline' ? 'classic pipeline' : tool.tool_type_id,
+			exported: tool.tool_type_id === 'pipeline' ? 'without stages' : 'no',
+			url: `https://${CLOUD_PLATFORM}/devops/toolchains/${toolchainId}/configure/${tool.id}?env_id=ibm:yp:${region}`
+		}));
+
+	if (unsupportedTools.length > 0) {
+		logger.warn('Warning! The following tool integration(s) are not supported by Terraform and will not be fully exported:', LOG_STAGES.setup, true);
+		logger.table(unsupportedTools);
+	}
+}
+
+function cleanupTempDir() {
+	if (!DEBUG_MODE) {
+		if (fs.existsSync(TEMP_DIR)) fs.rmSync(TEMP_DIR, { recursive: true });
+	}
+}
+
+export default command;
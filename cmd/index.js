@@ -10,4 +10,10 @@
 import exportSecrets from './export-secrets.js';
 import copyToolchain from './copy-toolchain.js';
 import directTransfer from './direct-transfer.js';
-export { exportSecrets, copyToolchain, directTransfer };
+import copyRegion from './copy-region.js';
+import convertClassicPipeline from './convert-classic-pipeline.js';
+import diffToolchain from './diff-toolchain.js';
+import enableTriggers from './enable-triggers.js';
+import exportTerraform from './export-terraform.js';
+import rotateSecret from './rotate-secret.js';
+export { exportSecrets, copyToolchain, directTransfer, copyRegion, convertClassicPipeline, diffToolchain, enableTriggers, exportTerraform, rotateSecret };
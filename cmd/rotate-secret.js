@@ -0,0 +1,222 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { exit } from 'node:process';
+
+import { Command, Option } from 'commander';
+
+import { parseEnvVar, decomposeCrn, isSecretReference, promptUserConfirmation, promptUserSecret } from './utils/utils.js';
+import { logger, LOG_STAGES } from './utils/logger.js';
+import { getBearerToken, getAccountId, getToolchain, getToolchainsByRegion, getResourceGroups, getSecretMetadata, createSecretVersion } from './utils/requests.js';
+import { findSecretUsages, resolveSecretRef, updateSecretProperty } from './utils/secrets.js';
+import { parseToolchainCrn, validateTag } from './utils/validate.js';
+
+import { ROTATE_SECRET_DESC, SOURCE_REGIONS, VAULT_REGEX } from '../config.js';
+
+const TIME_SUFFIX = new Date().getTime();
+const LOGS_DIR = '.logs';
+const LOG_DUMP = process.env['LOG_DUMP'] === 'false' ? false : true;	// when true or not specified, logs are also written to a log file in LOGS_DIR
+
+// secret types that a new version can be created for, with the field of their value
+const SECRET_VERSION_FIELDS = {
+	'arbitrary': 'payload',
+	'username_password': 'password'
+};
+
+const command = new Command('rotate-secret')
+	.summary('Rotates a secret used by the tool integrations and Tekton pipelines of many toolchains.')
+	.description(ROTATE_SECRET_DESC)
+	.optionsGroup('Basic options:')
+	.option('-c, --toolchain-crn <crn>', '(Optional) Only rotate the secret in this toolchain (default: all toolchains in the account)')
+	.addOption(
+		new Option('-r, --region <region>', '(Optional) Only rotate the secret in the toolchains in this region')
+			.choices(SOURCE_REGIONS)
+			.conflicts(['toolchainCrn'])
+	)
+	.addOption(
+		new Option('-g, --resource-group <resource_group>', '(Optional) Only rotate the secret in the toolchains in this resource group, by name or ID')
+			.conflicts(['toolchainCrn'])
+	)
+	.addOption(
+		new Option('-t, --tag <tag>', '(Optional) Only rotate the secret in the toolchains with this tag')
+			.conflicts(['toolchainCrn'])
+	)
+	.option('--reference <reference>', '(Optional) The secret reference to rotate, instead of a stored secret value. A new version is created for Secrets Manager secrets referenced by CRN or ref://, other references require the --new-reference option')
+	.option('--new-reference <reference>', '(Optional) Replace the secret with this secret reference, instead of a new value')
+	.option('-a, --apikey <api_key>', 'API key used to authenticate. Must be a user API key, with IAM permission to read and edit the toolchains, and to create secret versions in Secrets Manager')
+	.helpOption('-h, --help', 'Display help for command')
+	.optionsGroup('Advanced options:')
+	.option('-D, --dry-run', '(Optional) Only list the tool integrations and pipelines that use the secret')
+	.option('-f, --force', '(Optional) Force the rotate secret command to run without user confirmation')
+	.option('-v, --verbose', '(Optional) Increase log output')
+	.option('-q, --quiet', '(Optional) Suppress non-essential output, only errors and critical warnings are displayed')
+	.showHelpAfterError()
+	.hook('preAction', cmd => cmd.showHelpAfterError(false)) // only show help during validation
+	.action(main);
+
+async function main(options) {
+	const verbosity = options.quiet ? 0 : options.verbose ? 2 : 1;
+
+	logger.setVerbosity(verbosity);
+	if (LOG_DUMP) logger.createLogStream(`${LOGS_DIR}/rotate-secret-${TIME_SUFFIX}.log`);
+
+	// redact apikey option in logs
+	const printOptions = { ...options };
+	printOptions.apikey ? printOptions.apikey = '<API KEY>' : delete printOptions.apikey;
+	logger.dump(`Options: ${JSON.stringify(printOptions)}\n`);
+
+	let hasFailures = false;
+
+	try {
+		if (options.tag) validateTag(options.tag);
+		if (options.reference && !isSecretReference(options.reference)) throw Error(`Provided reference '${options.reference}' is not a secret reference`);
+		// only Secrets Manager secrets referenced by crn or ref:// can get a new version, other references can only be replaced
+		if (options.reference && !options.newReference && !VAULT_REGEX.slice(1).some((regex) => regex.test(options.reference))) throw Error(`Reference '${options.reference}' is not the CRN or ref:// reference of a Secrets Manager secret, a new version cannot be created. Use the --new-reference option to replace it with another secret reference`);
+		if (options.newReference && !isSecretReference(options.newReference)) throw Error(`Provided new reference '${options.newReference}' is not a secret reference`);
+		if (options.newReference && options.newReference === options.reference) throw Error('The new reference must be different from the reference to rotate');
+
+		const apiKey = options.apikey || parseEnvVar('IBMCLOUD_API_KEY');
+		const oldValue = options.reference ?? await readSecretValue('OLD_SECRET_VALUE', 'Enter the current value of the secret: ');
+		// referenced Secrets Manager secrets get a new version, unless the reference is replaced
+		const createVersion = options.reference && !options.newReference;
+
+		const bearer = await getBearerToken(apiKey);
+
+		let secretVersion;
+		if (createVersion) {
+			const accountId = await getAccountId(bearer, apiKey);
+			const { instance, secretId } = await resolveSecretRef(bearer, accountId, options.reference);
+			const metadata = await getSecretMetadata(bearer, instance.id, instance.region, secretId);
+			if (!metadata) throw Error(`Secret '${options.reference}' not found`);
+			if (!(metadata.secret_type in SECRET_VERSION_FIELDS)) throw Error(`Secret '${metadata.name}' is a ${metadata.secret_type} secret, only arbitrary and username_password secrets can be rotated`);
+			secretVersion = { instance, secretId, name: metadata.name, field: SECRET_VERSION_FIELDS[metadata.secret_type] };
+		}
+
+		const toolchains = await logger.withSpinner(getToolchains, 'Searching for toolchains...', 'Toolchain search complete', LOG_STAGES.setup, bearer, apiKey, options);
+
+		const report = [];
+		const usages = [];
+		const findUsages = async () => {
+			for (const toolchain of toolchains) {
+				try {
+					const found = await findSecretUsages(bearer, toolchain.id, toolchain.region_id, oldValue);
+					usages.push(...found.map((u) => ({ ...u, toolchain_name: toolchain.name })));
+				} catch (err) {
+					report.push({ toolchain: toolchain.name, tool: '', trigger: '', property: '', status: `skipped: ${err.message}` });
+				}
+			}
+		};
+		await logger.withSpinner(findUsages, `Checking ${toolchains.length} toolchain(s)...`, 'Toolchain check complete', LOG_STAGES.setup);
+
+		if (usages.length === 0) {
+			logger.table(report);
+			logger.info('No tool integrations or pipelines found using the secret.', LOG_STAGES.info, true);
+			await logger.close();
+			exit(0);
+		}
+
+		logger.print(''); // newline for spacing
+		logger.table(usages.map((u) => ({ toolchain: u.toolchain_name, tool: u.tool_name, trigger: u.trigger_name ?? '', property: u.property })));
+
+		const action = createVersion
+			? `A new version of secret "${secretVersion.name}" will be created, which the above ${usages.length} property(ies) use`
+			: `The above ${usages.length} property(ies) will be set to the new ${options.newReference ? 'secret reference' : 'value'}`;
+
+		if (options.dryRun) {
+			logger.info(`DRY_RUN: ${action.replace('will be', 'would be')}.`, LOG_STAGES.info, true);
+			await logger.close();
+			exit(0);
+		}
+
+		if (!options.force) {
+			await promptUserConfirmation(`${action}. Do you want to proceed?`, 'yes', 'Secret rotation cancelled.');
+		}
+
+		const newValue = options.newReference ?? await readSecretValue('NEW_SECRET_VALUE', 'Enter the new value of the secret: ');
+		if (newValue === oldValue) throw Error('The new value of the secret must be different from the current value');
+
+		if (createVersion) {
+			const { instance, secretId, field } = secretVersion;
+			await createSecretVersion(bearer, instance.id, instance.region, secretId, { [field]: newValue });
+			report.push(...usages.map((u) => ({ toolchain: u.toolchain_name, tool: u.tool_name, trigger: u.trigger_name ?? '', property: u.property, status: 'new version' })));
+		} else {
+			// a toolchain is skipped if its first update fails, e.g. when the api key cannot edit it
+			const updatedToolchains = new Set();
+			const skippedToolchains = new Set();
+			for (const u of usages) {
+				const row = { toolchain: u.toolchain_name, tool: u.tool_name, trigger: u.trigger_name ?? '', property: u.property, status: 'updated' };
+				if (skippedToolchains.has(u.toolchain_id)) {
+					row.status = 'skipped';
+				} else {
+					try {
+						await updateSecretProperty(bearer, u, newValue);
+						updatedToolchains.add(u.toolchain_id);
+					} catch (err) {
+						if (updatedToolchains.has(u.toolchain_id)) {
+							row.status = `failed: ${err.message}`;
+							hasFailures = true;
+						} else {
+							row.status = `skipped: ${err.message}`;
+							skippedToolchains.add(u.toolchain_id);
+						}
+					}
+				}
+				report.push(row);
+			}
+		}
+
+		logger.table(report);
+		const numSkipped = report.filter((row) => row.status.startsWith('skipped')).length;
+		if (hasFailures) {
+			logger.warn('Warning! Some properties could not be updated, see the table above for more details.', LOG_STAGES.info, true);
+		} else if (numSkipped > 0) {
+			logger.warn(`Warning! ${numSkipped} property(ies) or toolchain(s) were skipped, see the table above for more details.`, LOG_STAGES.info, true);
+		} else {
+			logger.info(`Rotated the secret in ${usages.length} property(ies).`, LOG_STAGES.info, true);
+		}
+	}
+	catch (err) {
+		if (err.message && err.stack) {
+			const errMsg = verbosity > 1 ? err.stack : err.message;
+			logger.error(errMsg, LOG_STAGES.setup);
+		}
+		await logger.close();
+		exit(1);
+	}
+
+	await logger.close();
+	exit(hasFailures ? 1 : 0);
+}
+
+// reads a secret value from an environment variable, or prompts for it without echoing it
+async function readSecretValue(envVar, question) {
+	const value = process.env[envVar] || await promptUserSecret(question);
+	if (!value) throw Error(`Missing secret value, please enter it or set the '${envVar}' environment variable`);
+	return value;
+}
+
+// the toolchain of the --toolchain-crn option, or the toolchains of the account matching the filter options
+async function getToolchains(bearer, apiKey, options) {
+	if (options.toolchainCrn) {
+		const [toolchainId, region] = parseToolchainCrn(options.toolchainCrn);
+		const toolchain = await getToolchain(bearer, toolchainId, region);
+		return [{ id: toolchainId, name: toolchain.name, region_id: region }];
+	}
+
+	const accountId = await getAccountId(bearer, apiKey);
+	let rgId;
+	if (options.resourceGroup) {
+		const resourceGroups = await getResourceGroups(bearer, accountId, [options.resourceGroup]);
+		rgId = resourceGroups[0].id;
+	}
+	const toolchains = await getToolchainsByRegion(bearer, accountId, options.region, rgId, options.tag);
+	return toolchains.map((t) => ({ ...t, id: decomposeCrn(t.crn).serviceInstance }));
+}
+
+export default command;
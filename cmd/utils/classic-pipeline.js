@@ -0,0 +1,313 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { stringify as stringifyYaml } from 'yaml';
+
+import { isSecretReference } from './utils.js';
+
+// classic pipeline property types, and the type of the equivalent Tekton pipeline property
+const PROPERTY_TYPES = {
+    'text': 'text',
+    'text_area': 'text',
+    'secure': 'secure'
+};
+
+const TEKTON_API_VERSION = 'tekton.dev/v1beta1';
+const DEFINITIONS_PATH = '.tekton';
+const DEFAULT_TASK_IMAGE = 'icr.io/continuous-delivery/pipeline/pipeline-base-ubi:latest';
+const WORKSPACE = { name: 'artifacts', mountPath: '/artifacts' };
+const GIT_TOKEN_PROPERTY = 'git-token'; // secure property with the token used to clone the repository, like the Tekton git clone tasks
+
+// classic job types that run a script, which becomes the script of a Tekton task
+const SCRIPT_JOB_TYPES = ['builder', 'deployer', 'tester'];
+
+/**
+* Converts the stages of a classic pipeline into the environment properties of a Tekton pipeline skeleton.
+*
+* Classic pipelines have properties per stage, which become pipeline properties, the first value of a
+* property defined by multiple stages is kept. Stage inputs, triggers and jobs have no Tekton equivalent
+* without a pipeline definition, so they are only reported.
+*
+* @param {Object[]} stages - The stages of the classic pipeline, as in the pipeline.yml of a toolchain template.
+* @returns {{ properties: Object[], untranslated: Object[] }} The Tekton pipeline properties, with their name, type
+* and value, and the parts of the classic pipeline that could not be translated, with their stage, item and reason.
+**/
+function convertClassicPipeline(stages) {
+    const untranslated = [];
+    const addUntranslated = (stage, item, reason) => untranslated.push({ stage: stage.name ?? '', item: item, reason: reason });
+
+    const properties = convertProperties(stages, addUntranslated);
+
+    for (const stage of stages) {
+        stage.inputs?.forEach((input) => {
+            const source = input.type === 'git' ? `git ${input.url ?? input.service ?? ''} ${input.branch ?? ''}`.trim() : `stage ${input.stage ?? ''}`.trim();
+            addUntranslated(stage, `input ${source}`, 'inputs must be recreated as a Tekton pipeline definition');
+        });
+        stage.triggers?.forEach((trigger) => {
+            addUntranslated(stage, `trigger ${trigger.type}`, 'triggers must be recreated as Tekton pipeline triggers, with an event listener');
+        });
+        stage.jobs?.forEach((job) => {
+            addUntranslated(stage, `job ${job.name}`, `${job.type ?? 'unknown'} jobs must be recreated as Tekton tasks`);
+        });
+    }
+
+    return { properties: properties, untranslated: untranslated };
+}
+
+/**
+* Converts the stages of a classic pipeline into a Tekton pipeline, with the definitions to commit in a repository.
+*
+* Each script job becomes a task, run after the previous job, sharing a workspace like the jobs of classic
+* stages share their inputs. A task cloning the repository of the first git input is run first, and its URL and
+* branch become the repository and branch properties, with a git-token property for the token used to clone it. The stage properties become pipeline properties, passed to
+* the tasks as environment variables. A manual trigger is always created, and a Git trigger when the first stage
+* runs on commit.
+*
+* @param {Object[]} stages - The stages of the classic pipeline, as in the pipeline.yml of a toolchain template.
+* @param {string} [image] - The image of the task steps for jobs without a Docker image.
+* @returns {{ properties: Object[], files: Object, repository: Object, triggers: Object[], untranslated: Object[] }} The
+* Tekton pipeline properties, the contents of the definition files by path, the repository URL and branch of the
+* first git input if any, the Tekton pipeline triggers, and the parts of the classic pipeline that could not be translated.
+**/
+function convertClassicPipelineDefinition(stages, image = DEFAULT_TASK_IMAGE) {
+    const untranslated = [];
+    const addUntranslated = (stage, item, reason) => untranslated.push({ stage: stage.name ?? '', item: item, reason: reason });
+
+    const properties = convertProperties(stages, addUntranslated);
+    const tasks = [];
+    const triggers = [{ name: 'manual-run', type: 'manual' }];
+    let repository;
+
+    stages.forEach((stage, index) => {
+        stage.inputs?.forEach((input) => {
+            if (input.type !== 'git') return; // job inputs are in the shared workspace
+
+            const url = input.url ?? input.service;
+            if (!repository) {
+                repository = { url: url, branch: input.branch ?? 'master', stage: stage };
+            } else if (url !== repository.url || (input.branch ?? 'master') !== repository.branch) {
+                addUntranslated(stage, `input git ${url ?? ''} ${input.branch ?? ''}`.trim(), `only the repository of the first git input is cloned, ${repository.url} ${repository.branch}`);
+            }
+        });
+
+        stage.triggers?.forEach((trigger) => {
+            if (trigger.type === 'commit' && index === 0 && repository) {
+                triggers.push({ name: 'git-commit', type: 'scm', events: ['push'], repository: repository });
+            } else if (trigger.type === 'stage' && index > 0) {
+                if (trigger.enabled === false) addUntranslated(stage, 'trigger stage', 'manual stages cannot be paused, the tasks run after the tasks of the previous stage');
+            } else {
+                addUntranslated(stage, `trigger ${trigger.type}`, 'only commit triggers of the first stage are converted, to a Git trigger');
+            }
+        });
+
+        const stageProps = properties.filter((prop) => stage.properties?.some((p) => p.name === prop.name));
+        stage.jobs?.forEach((job) => {
+            if (!SCRIPT_JOB_TYPES.includes(job.type)) {
+                addUntranslated(stage, `job ${job.name}`, `${job.type ?? 'unknown'} jobs have no Tekton equivalent`);
+                return;
+            }
+            if (job.type === 'builder' && job.build_type && job.build_type !== 'shell') {
+                addUntranslated(stage, `job ${job.name}`, `${job.build_type} builder jobs are converted to their script, which must be reviewed`);
+            }
+            if (job.type === 'deployer' && job.target) {
+                addUntranslated(stage, `job ${job.name}`, 'the deploy target must be set as properties, such as the API key and cluster used by the script');
+            }
+            tasks.push(toTask(`${stage.name}-${job.name}`, ['clone-repo', ...tasks.map((t) => t.metadata.name)], job, stageProps, image));
+        });
+    });
+
+    if (repository) {
+        properties.unshift(
+            ...['repository', 'branch']
+                .filter((name) => !properties.some((prop) => prop.name === name))
+                .map((name) => ({ name: name, type: 'text', value: repository[name === 'repository' ? 'url' : 'branch'] }))
+        );
+        // classic pipelines clone with the credentials of the repository tool integration, which tasks cannot use
+        if (!properties.some((prop) => prop.name === GIT_TOKEN_PROPERTY)) {
+            properties.push({ name: GIT_TOKEN_PROPERTY, type: 'secure', value: `<${GIT_TOKEN_PROPERTY}>` });
+            addUntranslated(repository.stage, `property ${GIT_TOKEN_PROPERTY}`, `the ${GIT_TOKEN_PROPERTY} property must be set to a token with read access to ${repository.url}, used by the clone-repo task`);
+        }
+        tasks.unshift(cloneTask(image));
+        delete repository.stage;
+    }
+
+    const files = {
+        [`${DEFINITIONS_PATH}/pipeline.yaml`]: toYaml([pipelineResource(tasks, properties)]),
+        [`${DEFINITIONS_PATH}/tasks.yaml`]: toYaml(tasks),
+        [`${DEFINITIONS_PATH}/listener.yaml`]: toYaml(listenerResources(properties))
+    };
+
+    return { properties: properties, files: files, repository: repository, triggers: triggers, untranslated: untranslated };
+}
+
+// the stage properties as Tekton pipeline properties, the first value of a property defined by multiple stages is kept
+function convertProperties(stages, addUntranslated) {
+    const properties = [];
+    const propertyStages = {}; // by property name, the stage the property was first defined by
+
+    for (const stage of stages) {
+        stage.properties?.forEach((prop) => {
+            const type = PROPERTY_TYPES[prop.type ?? 'text'];
+            if (!type) {
+                addUntranslated(stage, `property ${prop.name}`, `${prop.type} properties are not supported by Tekton pipelines`);
+                return;
+            }
+
+            // stored secrets cannot be read, a placeholder is used like for tool integrations
+            let value = prop.value ?? '';
+            if (type === 'secure' && !isSecretReference(value)) {
+                addUntranslated(stage, `property ${prop.name}`, 'secure property values cannot be read, the value must be set in the Tekton pipeline');
+                value = `<${prop.name}>`;
+            }
+
+            const existing = properties.find((p) => p.name === prop.name);
+            if (!existing) {
+                properties.push({ name: prop.name, type: type, value: value });
+                propertyStages[prop.name] = stage.name;
+            } else if (existing.value !== value) {
+                addUntranslated(stage, `property ${prop.name}`, `the property is also defined by stage "${propertyStages[prop.name]}" with another value, which is kept`);
+            }
+        });
+    }
+
+    return properties;
+}
+
+// Tekton resource names must be lowercase alphanumeric characters or '-', of at most 63 characters
+function toTektonName(str, usedNames = []) {
+    const base = str.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'task';
+
+    let name = base;
+    for (let i = 2; usedNames.includes(name); i++) name = `${base}-${i}`;
+    return name;
+}
+
+// a task running the script of a classic job, with the properties of its stage as environment variables
+function toTask(name, usedNames, job, properties, image) {
+    const script = job.script ?? '';
+
+    return {
+        apiVersion: TEKTON_API_VERSION,
+        kind: 'Task',
+        metadata: { name: toTektonName(name, usedNames) },
+        spec: {
+            params: properties.map((prop) => ({ name: prop.name, default: '' })),
+            workspaces: [WORKSPACE],
+            steps: [{
+                name: 'run',
+                image: job.docker_image || image,
+                workingDir: WORKSPACE.mountPath,
+                env: properties.map((prop) => ({ name: prop.name, value: `$(params.${prop.name})` })),
+                script: script.startsWith('#!') ? script : `#!/bin/bash\nset -e\n${script}`
+            }]
+        }
+    };
+}
+
+function cloneTask(image) {
+    return {
+        apiVersion: TEKTON_API_VERSION,
+        kind: 'Task',
+        metadata: { name: 'clone-repo' },
+        spec: {
+            params: [{ name: 'repository' }, { name: 'branch' }, { name: GIT_TOKEN_PROPERTY, default: '' }],
+            workspaces: [WORKSPACE],
+            steps: [{
+                name: 'clone',
+                image: image,
+                workingDir: WORKSPACE.mountPath,
+                env: [{ name: 'GIT_TOKEN', value: `$(params.${GIT_TOKEN_PROPERTY})` }],
+                script: [
+                    '#!/bin/bash',
+                    'set -e',
+                    'REPO_URL="$(params.repository)"',
+                    'if [ -n "$GIT_TOKEN" ]; then REPO_URL="https://oauth2:${GIT_TOKEN}@${REPO_URL#https://}"; fi',
+                    'git clone --branch "$(params.branch)" "$REPO_URL" .',
+                    ''
+                ].join('\n')
+            }]
+        }
+    };
+}
+
+// the tasks run one after the other, in the order of the classic jobs
+function pipelineResource(tasks, properties) {
+    return {
+        apiVersion: TEKTON_API_VERSION,
+        kind: 'Pipeline',
+        metadata: { name: 'pipeline' },
+        spec: {
+            params: properties.map((prop) => ({ name: prop.name })),
+            workspaces: [{ name: WORKSPACE.name }],
+            tasks: tasks.map((task, index) => ({
+                name: task.metadata.name,
+                ...(index > 0 && { runAfter: [tasks[index - 1].metadata.name] }),
+                taskRef: { name: task.metadata.name },
+                params: task.spec.params.map((param) => ({ name: param.name, value: `$(params.${param.name})` })),
+                workspaces: [{ name: WORKSPACE.name, workspace: WORKSPACE.name }]
+            }))
+        }
+    };
+}
+
+// the trigger template runs the pipeline with the pipeline properties, in a new workspace
+function listenerResources(properties) {
+    return [
+        {
+            apiVersion: TEKTON_API_VERSION,
+            kind: 'TriggerTemplate',
+            metadata: { name: 'trigger-template' },
+            spec: {
+                params: properties.map((prop) => ({ name: prop.name })),
+                resourcetemplates: [
+                    {
+                        apiVersion: 'v1',
+                        kind: 'PersistentVolumeClaim',
+                        metadata: { name: 'pipelinerun-$(uid)-pvc' },
+                        spec: { resources: { requests: { storage: '5Gi' } }, volumeMode: 'Filesystem', accessModes: ['ReadWriteOnce'] }
+                    },
+                    {
+                        apiVersion: TEKTON_API_VERSION,
+                        kind: 'PipelineRun',
+                        metadata: { name: 'pipelinerun-$(uid)' },
+                        spec: {
+                            pipelineRef: { name: 'pipeline' },
+                            params: properties.map((prop) => ({ name: prop.name, value: `$(params.${prop.name})` })),
+                            workspaces: [{ name: WORKSPACE.name, persistentVolumeClaim: { claimName: 'pipelinerun-$(uid)-pvc' } }]
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            apiVersion: TEKTON_API_VERSION,
+            kind: 'TriggerBinding',
+            metadata: { name: 'trigger-binding' },
+            spec: { params: [] }
+        },
+        {
+            apiVersion: TEKTON_API_VERSION,
+            kind: 'EventListener',
+            metadata: { name: 'listener' },
+            spec: {
+                triggers: [{ binding: { name: 'trigger-binding' }, template: { name: 'trigger-template' } }]
+            }
+        }
+    ];
+}
+
+function toYaml(resources) {
+    return resources.map((resource) => stringifyYaml(resource)).join('---\n');
+}
+
+export {
+    DEFINITIONS_PATH,
+    convertClassicPipeline,
+    convertClassicPipelineDefinition
+}
@@ -8,20 +8,22 @@
  */
 
 import fs from 'node:fs';
+import { createHash } from 'node:crypto';
 
 import { parse as tfToJson } from '@cdktf/hcl2json'
 import { jsonToTf } from 'json-to-tf';
 
-import { getPipelineData, getToolchainTools } from './requests.js';
+import { getClassicPipelineStages, getPipelineData, getToolchainTools } from './requests.js';
+import { convertClassicPipeline, DEFINITIONS_PATH } from './classic-pipeline.js';
 import { runTerraformPlanGenerate, setTerraformEnv } from './terraform.js';
-import { escapeReservedChars, getRandChars, isSecretReference, normalizeName } from './utils.js';
+import { escapeReservedChars, isSecretReference, normalizeName } from './utils.js';
 import { logger } from './logger.js';
 
 import { SECRET_KEYS_MAP, SUPPORTED_TOOLS_MAP } from '../../config.js';
 
 const DEBUG_MODE = process.env['DEBUG_MODE'] === 'true'; // when true, log extra errors for debugging
 
-export async function importTerraform(token, apiKey, region, toolchainId, toolchainName, dir, isCompact, verbosity) {
+export async function importTerraform(token, apiKey, region, toolchainId, toolchainName, dir, isCompact, verbosity, convertClassic = false) {
     // STEP 1/2: set up terraform file with import blocks
     const importBlocks = []; // an array of objects representing import blocks, used in importBlocksToTf
     const additionalProps = {}; // maps resource name to array of { property/param, value }, used to override terraform import
@@ -37,8 +39,9 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
     ];
 
     const nonSecretRefs = [];
+    const usedNames = new Set(); // resource addresses already used, to keep the resource names unique
 
-    let block = importBlock(toolchainId, toolchainName, 'ibm_cd_toolchain');
+    let block = importBlock(toolchainId, toolchainName, 'ibm_cd_toolchain', usedNames);
     importBlocks.push(block);
 
     const toolchainResName = block.name;
@@ -52,13 +55,16 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
     ];
     let s2sAuthTools = [];
 
+    const classicPipelines = []; // classic pipelines converted to tekton pipelines, with their properties
+    const classicReport = []; // the parts of classic pipelines that could not be converted
+
     // get list of tools
     const allTools = await getToolchainTools(token, toolchainId, region);
     for (const tool of allTools.tools) {
         const toolName = tool.parameters?.name ?? tool.tool_type_id;
 
         if (tool.tool_type_id in SUPPORTED_TOOLS_MAP) {
-            block = importBlock(`${toolchainId}/${tool.id}`, toolName, SUPPORTED_TOOLS_MAP[tool.tool_type_id]);
+            block = importBlock(`${toolchainId}/${tool.id}`, toolName, SUPPORTED_TOOLS_MAP[tool.tool_type_id], usedNames);
             importBlocks.push(block);
 
             const toolResName = block.name;
@@ -67,6 +73,7 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
             toolIdMap[tool.id] = { type: SUPPORTED_TOOLS_MAP[tool.tool_type_id], name: toolResName };
 
             if (requiresS2S.includes(SUPPORTED_TOOLS_MAP[tool.tool_type_id])) {
+                tool._tfName = toolResName; // to update the s2s request when the tool is remapped to another instance
                 s2sAuthTools.push(tool);
             }
 
@@ -97,10 +104,19 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
             }
         }
 
+        if (convertClassic && tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'classic') {
+            const stages = await getClassicPipelineStages(token, tool.id, region);
+            const { properties, untranslated } = convertClassicPipeline(stages);
+
+            additionalProps[pipelineResName].push({ param: 'type', value: 'tekton' });
+            classicPipelines.push({ toolResName: pipelineResName, properties: properties });
+            classicReport.push(...untranslated.map((item) => ({ pipeline: toolName, ...item })));
+        }
+
         if (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton') {
             const pipelineData = await getPipelineData(token, tool.id, region);
 
-            block = importBlock(pipelineData.id, toolName, 'ibm_cd_tekton_pipeline');
+            block = importBlock(pipelineData.id, toolName, 'ibm_cd_tekton_pipeline', usedNames);
             importBlocks.push(block);
 
             // overwrite hard-coded id with reference
@@ -110,7 +126,7 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
 
 
             pipelineData.definitions?.forEach((def) => {
-                block = importBlock(`${pipelineData.id}/${def.id}`, 'definition', 'ibm_cd_tekton_pipeline_definition');
+                block = importBlock(`${pipelineData.id}/${def.id}`, 'definition', 'ibm_cd_tekton_pipeline_definition', usedNames);
                 importBlocks.push(block);
 
                 // overwrite hard-coded id with reference
@@ -120,7 +136,7 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
             });
 
             pipelineData.properties?.forEach((prop) => {
-                block = importBlock(`${pipelineData.id}/${prop.name}`, prop.name, 'ibm_cd_tekton_pipeline_property');
+                block = importBlock(`${pipelineData.id}/${prop.name}`, prop.name, 'ibm_cd_tekton_pipeline_property', usedNames);
                 importBlocks.push(block);
 
                 // overwrite hard-coded id with reference
@@ -130,7 +146,7 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
             });
 
             pipelineData.triggers?.forEach((trig) => {
-                block = importBlock(`${pipelineData.id}/${trig.id}`, trig.name, 'ibm_cd_tekton_pipeline_trigger');
+                block = importBlock(`${pipelineData.id}/${trig.id}`, trig.name, 'ibm_cd_tekton_pipeline_trigger', usedNames);
                 importBlocks.push(block);
 
                 // overwrite hard-coded id with reference
@@ -141,7 +157,7 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
                 const triggerResName = block.name;
 
                 trig.properties?.forEach((trigProp) => {
-                    block = importBlock(`${pipelineData.id}/${trig.id}/${trigProp.name}`, trigProp.name, 'ibm_cd_tekton_pipeline_trigger_property');
+                    block = importBlock(`${pipelineData.id}/${trig.id}/${trigProp.name}`, trigProp.name, 'ibm_cd_tekton_pipeline_trigger_property', usedNames);
                     importBlocks.push(block);
 
                     // overwrite hard-coded id with reference
@@ -335,6 +351,14 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
         }
     }
 
+    // converted classic pipelines are new resources, with a public worker and the properties of all stages
+    for (const { toolResName, properties } of classicPipelines) {
+        const resources = tektonPipelineResources(toolResName, properties);
+        for (const [key, value] of Object.entries(resources)) {
+            newTfFileObj['resource'][key] = { ...newTfFileObj['resource'][key], ...value };
+        }
+    }
+
     if (!isCompact) {
         for (const [key, value] of Object.entries(newTfFileObj['resource'])) {
             try {
@@ -360,13 +384,67 @@ export async function importTerraform(token, apiKey, region, toolchainId, toolch
     // remove draft
     if (fs.existsSync(`${dir}/generated/draft.tf`)) fs.rmSync(`${dir}/generated/draft.tf`, { recursive: true });
 
-    return [toolchainResName, nonSecretRefs, s2sAuthTools];
+    return [toolchainResName, nonSecretRefs, s2sAuthTools, classicReport];
+}
+
+// the terraform resources of a new tekton pipeline with a public worker, for the pipeline tool resource toolResName,
+// with a definition read from the .tekton path of the repository and the given triggers when a repository is given,
+// Git triggers run on the repository they were converted with
+export function tektonPipelineResources(toolResName, properties, repository, triggers = []) {
+    const pipelineRef = `\${ibm_cd_toolchain_tool_pipeline.${toolResName}.tool_id}`;
+    const resources = {
+        'ibm_cd_tekton_pipeline': { [toolResName]: { pipeline_id: pipelineRef, worker: [{ id: 'public' }] } }
+    };
+
+    // names that normalize to the same resource name, e.g. API-KEY and API_KEY, get a numbered suffix
+    const addResource = (type, name, resource) => {
+        const baseName = `${toolResName}_${normalizeName(name)}`;
+        let resName = baseName;
+        for (let i = 2; resName in (resources[type] ?? {}); i++) resName = `${baseName}_${i}`;
+        resources[type] = { ...resources[type], [resName]: resource };
+    };
+
+    properties.forEach((prop) => {
+        addResource('ibm_cd_tekton_pipeline_property', prop.name, { pipeline_id: pipelineRef, name: prop.name, type: prop.type, value: escapeReservedChars(prop.value) });
+    });
+
+    if (repository) {
+        resources['ibm_cd_tekton_pipeline_definition'] = {
+            [`${toolResName}_definition`]: {
+                pipeline_id: pipelineRef,
+                source: [{ type: 'git', properties: [{ url: repository.url, branch: repository.branch, path: DEFINITIONS_PATH }] }]
+            }
+        };
+        triggers.forEach((trig) => {
+            addResource('ibm_cd_tekton_pipeline_trigger', trig.name, {
+                pipeline_id: pipelineRef,
+                type: trig.type,
+                name: trig.name,
+                event_listener: 'listener',
+                enabled: true,
+                ...(trig.type === 'scm' && {
+                    source: [{ type: 'git', properties: [{ url: (trig.repository ?? repository).url, branch: (trig.repository ?? repository).branch }] }],
+                    events: trig.events
+                })
+            });
+        });
+    }
+
+    return resources;
 }
 
 // objects have two keys, "id" and "to"
 // e.g. { id: 'bc3d05f1-e6f7-4b5e-8647-8119d8037039', to: 'ibm_cd_toolchain.my_everything_toolchain_e22c' }
-function importBlock(id, name, resourceType) {
-    const newName = `${normalizeName(name)}_${getRandChars(4)}`;
+function importBlock(id, name, resourceType, usedNames) {
+    // suffix is derived from the id, so importing the same toolchain again gives the same resource names,
+    // it is lengthened when another resource of the same type with the same name has the same suffix
+    let newName;
+    for (let size = 4; size <= 32; size += 2) {
+        newName = `${normalizeName(name)}_${getIdChars(id, size)}`;
+        if (!usedNames.has(`${resourceType}.${newName}`)) break;
+    }
+    if (usedNames.has(`${resourceType}.${newName}`)) throw Error(`Could not generate a unique name for resource "${resourceType}.${newName}"`);
+    usedNames.add(`${resourceType}.${newName}`);
 
     return {
         id: id,
@@ -375,6 +453,17 @@ function importBlock(id, name, resourceType) {
     }
 }
 
+function getIdChars(id, size) {
+    const charSet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+    const hash = createHash('sha256').update(id).digest();
+
+    let res = '';
+    for (let i = 0; i < size; i++) {
+        res += charSet[hash[i] % charSet.length];
+    }
+    return res;
+}
+
 // importBlocks array to tf file
 function importBlocksToTf(blocks, dir) {
     let fileContent = '';
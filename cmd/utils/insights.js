@@ -0,0 +1,103 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { createInsightsRecord, getInsightsRecords } from './requests.js';
+
+// fields set by DevOps Insights when a record is created, and by uploadInsightsData once it is uploaded
+const GENERATED_FIELDS = ['id', '_id', 'toolchain_id', 'org_name', 'uploaded_at'];
+
+// test results and deployment records belong to a build, identified by its build artifact and build ID
+const buildPath = (build) => `buildartifacts/${encodeURIComponent(build.build_artifact)}/builds/${encodeURIComponent(build.build_id)}`;
+
+/**
+* Exports the DevOps Insights data of a toolchain, its policies and build records, with the test results and
+* deployment records of each build.
+*
+* @param {string} bearer - The bearer token.
+* @param {string} toolchainId - The ID of the toolchain.
+* @param {string} region - The region of the toolchain.
+* @returns {Promise<Object>} The exported data, to be uploaded with uploadInsightsData.
+**/
+async function exportInsightsData(bearer, toolchainId, region) {
+    const policies = await getInsightsRecords(bearer, toolchainId, region, 'policies');
+    const builds = await getInsightsRecords(bearer, toolchainId, region, 'builds');
+
+    for (const build of builds) {
+        build.test_results = await getInsightsRecords(bearer, toolchainId, region, `${buildPath(build)}/results`);
+        build.deployments = await getInsightsRecords(bearer, toolchainId, region, `${buildPath(build)}/deployments`);
+    }
+
+    return {
+        toolchain_id: toolchainId,
+        region: region,
+        exported_at: new Date().toISOString(),
+        policies: policies,
+        builds: builds
+    };
+}
+
+/**
+* Uploads DevOps Insights data exported with exportInsightsData to another toolchain.
+*
+* Uploaded records are marked with an uploaded_at field, and skipped when uploading the same data again, so
+* an upload can be retried after failures without duplicating records. The test results and deployment records of
+* a build that failed to upload are skipped.
+*
+* @param {string} bearer - The bearer token.
+* @param {string} toolchainId - The ID of the toolchain to upload the data to.
+* @param {string} region - The region of the toolchain.
+* @param {Object} data - The exported data, which is updated with the records uploaded.
+* @returns {Promise<Object[]>} A report of each record, with its type, name and status.
+**/
+async function uploadInsightsData(bearer, toolchainId, region, data) {
+    const report = [];
+
+    const upload = async (type, name, path, record) => {
+        if (record.uploaded_at) return true;
+        try {
+            await createInsightsRecord(bearer, toolchainId, region, path, withoutGeneratedFields(record, type === 'build' ? ['test_results', 'deployments'] : []));
+            record.uploaded_at = new Date().toISOString();
+            report.push({ type: type, name: name, status: 'uploaded' });
+            return true;
+        } catch (err) {
+            report.push({ type: type, name: name, status: `failed: ${err.message}` });
+            return false;
+        }
+    };
+
+    for (const policy of data.policies ?? []) {
+        await upload('policy', policy.name ?? '', 'policies', policy);
+    }
+
+    for (const build of data.builds ?? []) {
+        const buildName = `${build.build_artifact} ${build.build_id}`;
+        if (!await upload('build', buildName, `buildartifacts/${encodeURIComponent(build.build_artifact)}/builds`, build)) {
+            const numSkipped = (build.test_results?.length ?? 0) + (build.deployments?.length ?? 0);
+            if (numSkipped > 0) report.push({ type: 'build', name: buildName, status: `skipped ${numSkipped} test result(s) and deployment record(s)` });
+            continue;
+        }
+        for (const result of build.test_results ?? []) {
+            await upload('test result', `${buildName} ${result.lifecycle_stage ?? ''}`.trim(), `${buildPath(build)}/results`, result);
+        }
+        for (const deployment of build.deployments ?? []) {
+            await upload('deployment', `${buildName} ${deployment.environment_name ?? ''}`.trim(), `${buildPath(build)}/deployments`, deployment);
+        }
+    }
+
+    return report;
+}
+
+function withoutGeneratedFields(record, moreFields = []) {
+    return Object.fromEntries(Object.entries(record).filter(([key]) => !GENERATED_FIELDS.includes(key) && !moreFields.includes(key)));
+}
+
+export {
+    exportInsightsData,
+    uploadInsightsData
+}
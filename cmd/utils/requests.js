@@ -7,6 +7,7 @@
  * Contract with IBM Corp.
  */
 
+import { Buffer } from 'node:buffer';
 import axios from 'axios';
 import axiosRetry from 'axios-retry';
 
@@ -22,8 +23,15 @@ const GHOST_BASE_URL = DEV_MODE ? process.env['IBMCLOUD_GS_API_ENDPOINT'] : 'htt
 const DEVOPS_BASE_URL = DEV_MODE ? process.env['IBMCLOUD_DEVOPS_URL'] : 'https://cloud.ibm.com/devops';
 const TOOLCHAIN_BASE_ENDPOINT = DEV_MODE ? process.env['IBMCLOUD_TOOLCHAIN_ENDPOINT'] : '';
 const PIPELINE_BASE_ENDPOINT = DEV_MODE ? process.env['IBMCLOUD_TEKTON_PIPELINE_ENDPOINT'] : '';
+const CLASSIC_PIPELINE_BASE_ENDPOINT = process.env['IBMCLOUD_CLASSIC_PIPELINE_ENDPOINT'] || ''; // the classic pipeline api is not public, can be overridden in any environment
+const INSIGHTS_BASE_ENDPOINT = process.env['IBMCLOUD_DEVOPS_INSIGHTS_ENDPOINT'] || ''; // can be overridden in any environment, like the classic pipeline api
 const GIT_BASE_ENDPOINT = DEV_MODE ? process.env['IBMCLOUD_GIT_ENDPOINT'] : '';
 const OTC_BASE_ENDPOINT = DEV_MODE ? process.env['IBMCLOUD_OTC_ENDPOINT'] : '';
+const SM_BASE_DOMAIN = DEV_MODE ? process.env['IBMCLOUD_SM_DOMAIN'] : 'secrets-manager.appdomain.cloud';
+const KP_BASE_ENDPOINT = DEV_MODE ? process.env['IBMCLOUD_KP_API_ENDPOINT'] : '';
+
+const SEARCH_PAGE_LIMIT = 1000;   // max page size of global search
+const INSIGHTS_PAGE_LIMIT = 100;  // page size of DevOps Insights records
 
 const MOCK_ALL_REQUESTS = process.env.MOCK_ALL_REQUESTS === 'true' || 'false';
 
@@ -40,7 +48,7 @@ axios.defaults.timeout = 60000;     // 60 seconds
 axios.interceptors.request.use(request => {
     logger.debug(`${request.method.toUpperCase()} ${request.url}`, LOG_STAGES.request);
     if (request.data) {
-        const body = typeof request.data === 'string'
+        const body = request.redactBody ? '<REDACTED>' : typeof request.data === 'string'
             ? request.data
             : JSON.stringify(request.data);
         logger.log(`Https Request body: ${body}`, LOG_STAGES.request);
@@ -55,6 +63,8 @@ axios.interceptors.response.use(response => {
             : JSON.stringify(response.data);
         if (response.data.access_token)   // Redact user access token in logs
             body = body.replaceAll(response.data.access_token, '<USER ACCESS TOKEN>');
+        if (response.config.redactBody)   // Redact secret values in logs
+            body = '<REDACTED>';
         logger.log(`Https Response body: ${body}`, LOG_STAGES.request);
     }
     return response;
@@ -158,6 +168,51 @@ async function getToolchainsByName(bearer, accountId, toolchainName) {
     }
 }
 
+// lists all active toolchains in a region, or in all regions if none is given, optionally filtered by resource group ID and tag
+async function getToolchainsByRegion(bearer, accountId, region, resourceGroupId, tag) {
+    const filters = [
+        'service_name:toolchain',
+        ...(region ? [`region:"${region}"`] : []),
+        'doc.state:ACTIVE',
+        ...(resourceGroupId ? [`doc.resource_group_id:${resourceGroupId}`] : []),
+        ...(tag ? [`tags:"${tag}"`] : [])
+    ];
+
+    const toolchains = [];
+    let searchCursor;
+
+    do {
+        const options = {
+            url: GHOST_BASE_URL + '/v3/resources/search',
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${bearer}`,
+                'Content-Type': 'application/json',
+            },
+            data: {
+                'query': filters.join(' AND '),
+                'fields': ['crn', 'name', 'doc.resource_group_id', 'doc.region_id'],
+                ...(searchCursor ? { 'search_cursor': searchCursor } : {})
+            },
+            params: { account_id: accountId, limit: SEARCH_PAGE_LIMIT },
+            validateStatus: () => true
+        };
+        const response = await axios(options);
+        switch (response.status) {
+            case 200:
+                toolchains.push(...response.data.items.map(item => {
+                    return { crn: item.crn, name: item.name, resource_group_id: item.doc.resource_group_id, region_id: item.doc.region_id }
+                }));
+                searchCursor = response.data.items.length === SEARCH_PAGE_LIMIT ? response.data.search_cursor : undefined;
+                break;
+            default:
+                throw Error('Get toolchains failed');
+        }
+    } while (searchCursor);
+
+    return toolchains;
+}
+
 async function getCdInstanceByRegion(bearer, accountId, region) {
     if (MOCK_ALL_REQUESTS && process.env.MOCK_GET_CD_INSTANCE_BY_REGION_SCENARIO) {
         return mocks.getCdInstanceByRegionResponses[process.env.MOCK_GET_CD_INSTANCE_BY_REGION_SCENARIO].data.items.length > 0;
@@ -229,6 +284,125 @@ async function getPipelineData(bearer, pipelineId, region) {
     }
 }
 
+// returns the stages of a classic pipeline, with their inputs, triggers, properties and jobs
+async function getClassicPipelineStages(bearer, pipelineId, region) {
+    const apiBaseUrl = CLASSIC_PIPELINE_BASE_ENDPOINT || `https://devops-api.${region}.devops.cloud.ibm.com/v1/pipeline`;
+    const options = {
+        method: 'GET',
+        url: `${apiBaseUrl}/pipelines/${pipelineId}/stages`,
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            return Array.isArray(response.data) ? response.data : response.data.stages ?? [];
+        default:
+            throw Error(`Get classic pipeline "${pipelineId}" failed: ${response.statusText}`);
+    }
+}
+
+// path is relative to the DevOps Insights data of the toolchain, e.g. "policies" or "builds"
+async function getInsightsRecords(bearer, toolchainId, region, path) {
+    const apiBaseUrl = INSIGHTS_BASE_ENDPOINT || `https://devops-api.${region}.devops.cloud.ibm.com/v2`;
+    const records = [];
+    let url = `${apiBaseUrl}/toolchainids/${toolchainId}/${path}`;
+    let params = { limit: INSIGHTS_PAGE_LIMIT, offset: 0 };
+    let totalCount;
+
+    do {
+        const options = {
+            method: 'GET',
+            url: url,
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${bearer}`,
+                'Content-Type': 'application/json',
+            },
+            params: params,
+            validateStatus: () => true
+        };
+        const response = await axios(options);
+        switch (response.status) {
+            case 200: {
+                const items = Array.isArray(response.data) ? response.data : response.data.items ?? [];
+                records.push(...items);
+                totalCount = response.data.total_count ?? totalCount;
+                // follow the next page link when the API returns one, otherwise page by offset until a short page
+                const next = response.data.next?.href ?? response.data.next;
+                if (typeof next === 'string' && next && items.length > 0) {
+                    url = new URL(next, url).href;
+                    params = undefined;
+                } else if (params && items.length === INSIGHTS_PAGE_LIMIT && (totalCount === undefined || records.length < totalCount)) {
+                    params = { limit: INSIGHTS_PAGE_LIMIT, offset: records.length };
+                } else {
+                    url = undefined;
+                }
+                break;
+            }
+            case 404:
+                url = undefined;
+                break;
+            default:
+                throw Error(`Get DevOps Insights ${path} failed: ${response.statusText}`);
+        }
+    } while (url);
+
+    if (totalCount !== undefined && records.length < totalCount) {
+        logger.warn(`Warning! Only ${records.length} of the ${totalCount} DevOps Insights ${path} records were received`, LOG_STAGES.import, true);
+    }
+    return records;
+}
+
+async function createInsightsRecord(bearer, toolchainId, region, path, data) {
+    const apiBaseUrl = INSIGHTS_BASE_ENDPOINT || `https://devops-api.${region}.devops.cloud.ibm.com/v2`;
+    const options = {
+        method: 'POST',
+        url: `${apiBaseUrl}/toolchainids/${toolchainId}/${path}`,
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        data: data,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+        case 201:
+            return response.data;
+        default:
+            throw Error(`Create DevOps Insights ${path} failed: ${response.statusText}`);
+    }
+}
+
+async function updatePipelineTrigger(bearer, pipelineId, triggerId, region, data) {
+    const apiBaseUrl = PIPELINE_BASE_ENDPOINT || `https://api.${region}.devops.cloud.ibm.com/pipeline/v2`;
+    const options = {
+        method: 'PATCH',
+        url: `${apiBaseUrl}/tekton_pipelines/${pipelineId}/triggers/${triggerId}`,
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/merge-patch+json',
+        },
+        data: data,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            return response.data;
+        default:
+            throw Error(response.data?.errors?.[0]?.message || response.statusText);
+    }
+}
+
 // takes in list of resource group IDs or names
 async function getResourceGroups(bearer, accountId, resourceGroups) {
     const options = {
@@ -295,6 +469,40 @@ async function getSecretsHealthcheck(bearer, tcId, toolName, region) {
     }
 }
 
+// creates the service-to-service authorization a tool integration needs, like the "Create Authorization" button of the UI
+async function createS2sAuthPolicy(bearer, tcId, serviceId, region, parameters) {
+    const options = {
+        url: DEVOPS_BASE_URL + '/setup/api/v2/s2s_authorization',
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        params: { toolchainId: tcId, serviceId: serviceId, env_id: `ibm:yp:${region}` },
+        data: {
+            parameters: {
+                'name': parameters['name'],
+                'integration-status': '',
+                'instance-id-type': parameters['instance-id-type'],
+                'region': parameters['region'],
+                'resource-group': parameters['resource-group'],
+                'instance-name': parameters['instance-name'],
+                'instance-crn': parameters['instance-crn'],
+                'setup-authorization-type': 'select'
+            }
+        },
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+        case 201:
+            return;
+        default:
+            throw Error(`Failed to create service-to-service authorization policy for ${serviceId} '${parameters['name']}' with status: ${response.status} ${response.statusText}`);
+    }
+}
+
 async function getGitOAuth(bearer, targetRegion, gitId) {
     const options = {
         url: DEVOPS_BASE_URL + '/git/api/v1/tokens',
@@ -407,6 +615,11 @@ async function deleteToolchain(bearer, toolchainId, region) {
 }
 
 async function getSmInstances(bearer, accountId) {
+    return getServiceInstances(bearer, accountId, 'secrets-manager');
+}
+
+// serviceName is the catalog name of the service, e.g. 'secrets-manager', 'kms', 'event-notifications' or 'apprapp'
+async function getServiceInstances(bearer, accountId, serviceName) {
     const options = {
         url: GHOST_BASE_URL + '/v3/resources/search',
         method: 'POST',
@@ -415,7 +628,7 @@ async function getSmInstances(bearer, accountId) {
             'Content-Type': 'application/json',
         },
         data: {
-            'query': `service_name:secrets-manager AND doc.state:ACTIVE`,
+            'query': `service_name:${serviceName} AND doc.state:ACTIVE`,
             'fields': ['doc.resource_group_id', 'doc.region_id', 'doc.dashboard_url', 'doc.name', 'doc.guid']
         },
         params: { account_id: accountId },
@@ -435,7 +648,151 @@ async function getSmInstances(bearer, accountId) {
                 }
             });
         default:
-            throw Error('Get Secrets Manager instances failed');
+            throw Error(`Get ${serviceName} instances failed`);
+    }
+}
+
+async function getSecretMetadata(bearer, instanceId, region, secretId) {
+    const options = {
+        url: `https://${instanceId}.${region}.${SM_BASE_DOMAIN}/api/v2/secrets/${secretId}/metadata`,
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            return response.data;
+        case 404:
+            return null;
+        default:
+            throw Error(`Get secret "${secretId}" failed`);
+    }
+}
+
+async function getSecret(bearer, instanceId, region, secretId) {
+    const options = {
+        url: `https://${instanceId}.${region}.${SM_BASE_DOMAIN}/api/v2/secrets/${secretId}`,
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        redactBody: true,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            return response.data;
+        default:
+            throw Error(`Get secret "${secretId}" failed`);
+    }
+}
+
+async function createSecret(bearer, instanceId, region, data) {
+    const options = {
+        url: `https://${instanceId}.${region}.${SM_BASE_DOMAIN}/api/v2/secrets`,
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        data: data,
+        redactBody: true,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 201:
+            return response.data;
+        default:
+            throw Error(response.data?.errors?.length > 0 ? response.data.errors[0]?.message : `Create secret "${data.name}" failed`);
+    }
+}
+
+async function createSecretVersion(bearer, instanceId, region, secretId, data) {
+    const options = {
+        url: `https://${instanceId}.${region}.${SM_BASE_DOMAIN}/api/v2/secrets/${secretId}/versions`,
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        data: data,
+        redactBody: true,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 201:
+            return response.data;
+        default:
+            throw Error(response.data?.errors?.length > 0 ? response.data.errors[0]?.message : `Create version of secret "${secretId}" failed`);
+    }
+}
+
+async function getSecretGroups(bearer, instanceId, region) {
+    const options = {
+        url: `https://${instanceId}.${region}.${SM_BASE_DOMAIN}/api/v2/secret_groups`,
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            // the default group is not listed
+            return [{ id: 'default', name: 'default' }, ...response.data.secret_groups];
+        default:
+            throw Error('Get secret groups failed');
+    }
+}
+
+async function createSecretGroup(bearer, instanceId, region, data) {
+    const options = {
+        url: `https://${instanceId}.${region}.${SM_BASE_DOMAIN}/api/v2/secret_groups`,
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        data: data,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 201:
+            return response.data;
+        default:
+            throw Error(response.data?.errors?.length > 0 ? response.data.errors[0]?.message : `Create secret group "${data.name}" failed`);
+    }
+}
+
+async function getSecretsByName(bearer, instanceId, region, groupId, name) {
+    const options = {
+        url: `https://${instanceId}.${region}.${SM_BASE_DOMAIN}/api/v2/secrets`,
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        params: { groups: groupId, search: name, limit: 200 },
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            // search also matches labels and partial names
+            return response.data.secrets.filter((s) => s.name === name);
+        default:
+            throw Error(`Get secret "${name}" failed`);
     }
 }
 
@@ -483,6 +840,133 @@ async function migrateToolchainSecrets(bearer, data, region) {
     }
 }
 
+async function updateTool(bearer, toolchainId, toolId, region, data) {
+    const apiBaseUrl = TOOLCHAIN_BASE_ENDPOINT || `https://api.${region}.devops.cloud.ibm.com/toolchain/v2`;
+    const options = {
+        method: 'PATCH',
+        url: `${apiBaseUrl}/toolchains/${toolchainId}/tools/${toolId}`,
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/merge-patch+json',
+        },
+        data: data,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            return response.data;
+        default:
+            throw Error(response.data?.errors?.[0]?.message || response.statusText);
+    }
+}
+
+async function updatePipelineProperty(bearer, pipelineId, region, data) {
+    const apiBaseUrl = PIPELINE_BASE_ENDPOINT || `https://api.${region}.devops.cloud.ibm.com/pipeline/v2`;
+    const options = {
+        method: 'PUT',
+        url: `${apiBaseUrl}/tekton_pipelines/${pipelineId}/properties/${encodeURIComponent(data.name)}`,
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        data: data,
+        redactBody: true,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            return response.data;
+        default:
+            throw Error(response.data?.errors?.[0]?.message || response.statusText);
+    }
+}
+
+async function updateTriggerProperty(bearer, pipelineId, triggerId, region, data) {
+    const apiBaseUrl = PIPELINE_BASE_ENDPOINT || `https://api.${region}.devops.cloud.ibm.com/pipeline/v2`;
+    const options = {
+        method: 'PUT',
+        url: `${apiBaseUrl}/tekton_pipelines/${pipelineId}/triggers/${triggerId}/properties/${encodeURIComponent(data.name)}`,
+        headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${bearer}`,
+            'Content-Type': 'application/json',
+        },
+        data: data,
+        redactBody: true,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+            return response.data;
+        default:
+            throw Error(response.data?.errors?.[0]?.message || response.statusText);
+    }
+}
+
+// writes a secret to a KV secrets engine, under the "value" key
+async function writeVaultSecret(serverUrl, vaultToken, path, kvVersion, value) {
+    // KV version 2 secrets are read and written under the data/ prefix of the mount
+    const [mount, ...rest] = path.replace(/^\/+|\/+$/g, '').split('/');
+    const secretPath = kvVersion === '2' ? [mount, 'data', ...rest].join('/') : [mount, ...rest].join('/');
+    const options = {
+        method: 'POST',
+        url: `${serverUrl.replace(/\/+$/, '')}/v1/${secretPath}`,
+        headers: {
+            'X-Vault-Token': vaultToken,
+            'Content-Type': 'application/json',
+        },
+        data: kvVersion === '2' ? { data: { value: value } } : { value: value },
+        redactBody: true,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 200:
+        case 204:
+            return `${serverUrl.replace(/\/+$/, '')}/ui/vault/secrets/${mount}/show/${rest.join('/')}`;
+        default:
+            throw Error(response.data?.errors?.[0] || response.statusText);
+    }
+}
+
+// creates an importable standard key, with the secret value as its payload
+async function createKeyProtectKey(bearer, instanceId, region, name, value) {
+    const apiBaseUrl = KP_BASE_ENDPOINT || `https://${region}.kms.cloud.ibm.com`;
+    const options = {
+        method: 'POST',
+        url: `${apiBaseUrl}/api/v2/keys`,
+        headers: {
+            'Accept': 'application/vnd.ibm.kms.key+json',
+            'Authorization': `Bearer ${bearer}`,
+            'Bluemix-Instance': instanceId,
+            'Content-Type': 'application/vnd.ibm.kms.key+json',
+        },
+        data: {
+            metadata: { collectionType: 'application/vnd.ibm.kms.key+json', collectionTotal: 1 },
+            resources: [{
+                type: 'application/vnd.ibm.kms.key+json',
+                name: name,
+                extractable: true,
+                payload: Buffer.from(value).toString('base64')
+            }]
+        },
+        redactBody: true,
+        validateStatus: () => true
+    };
+    const response = await axios(options);
+    switch (response.status) {
+        case 201:
+            return response.data.resources[0];
+        default:
+            throw Error(response.data?.resources?.[0]?.errorMsg || response.statusText);
+    }
+}
+
 // GET with retry for flaky 5xx/520 errors (Cloudflare / origin issues)
 async function getWithRetry(client, path, params = {}, { retries = 3, retryDelayMs = 2000 } = {}) {
     let lastError;
@@ -521,11 +1005,17 @@ export {
     getCdInstanceByRegion,
     getToolchain,
     getToolchainsByName,
+    getToolchainsByRegion,
     getToolchainTools,
     getPipelineData,
+    getClassicPipelineStages,
+    getInsightsRecords,
+    createInsightsRecord,
+    updatePipelineTrigger,
     getResourceGroups,
     getAppConfigHealthcheck,
     getSecretsHealthcheck,
+    createS2sAuthPolicy,
     getGitOAuth,
     getGritUserProject,
     getGritGroup,
@@ -533,7 +1023,20 @@ export {
     deleteToolchain,
     createTool,
     getSmInstances,
+    getServiceInstances,
+    getSecretMetadata,
+    getSecret,
+    createSecret,
+    createSecretVersion,
+    getSecretGroups,
+    createSecretGroup,
+    getSecretsByName,
     migrateToolchainSecrets,
+    updateTool,
+    updatePipelineProperty,
+    updateTriggerProperty,
+    writeVaultSecret,
+    createKeyProtectKey,
     getWithRetry,
     shouldFailover
 }
@@ -0,0 +1,57 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { createKeyProtectKey, getServiceInstances, writeVaultSecret } from './requests.js';
+
+const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
+
+// the secret stores export-secrets can migrate secrets to, with the type of their tool integration
+// Secrets Manager secrets are created by the toolchain from the stored value, other stores need the value of each secret,
+// their init function takes the tool integration and returns a function storing a secret value, which returns its URL
+const SECRET_DESTINATIONS = {
+    'secrets-manager': {
+        label: 'Secrets Manager',
+        toolType: 'secretsmanager'
+    },
+    'hashicorp-vault': {
+        label: 'HashiCorp Vault',
+        toolType: 'hashicorpvault',
+        init: async ({ integration, options }) => {
+            const serverUrl = integration.parameters?.server_url;
+            const path = integration.parameters?.path;
+            if (!serverUrl || !path) throw Error(`The HashiCorp Vault tool integration "${integration.parameters?.name}" has no server URL or secrets path`);
+
+            const vaultToken = options.vaultToken || process.env['VAULT_TOKEN'];
+            if (!vaultToken) throw Error('A HashiCorp Vault token is required, use the --vault-token option or the VAULT_TOKEN environment variable');
+
+            return (name, value) => writeVaultSecret(serverUrl, vaultToken, `${path}/${name}`, options.vaultKvVersion, value);
+        }
+    },
+    'key-protect': {
+        label: 'Key Protect',
+        toolType: 'keyprotect',
+        init: async ({ bearer, accountId, integration }) => {
+            const params = integration.parameters ?? {};
+            const instances = await getServiceInstances(bearer, accountId, 'kms');
+            const instance = instances.find((i) => params['instance-crn']
+                ? i.crn === params['instance-crn']
+                : i.name === params['instance-name'] && i.region_id === params['region']);
+            if (!instance) throw Error(`The Key Protect instance of the tool integration "${params.name}" was not found, or you do not have permission to view it`);
+
+            return async (name, value) => {
+                const key = await createKeyProtectKey(bearer, instance.id, instance.region_id, name, value);
+                return `https://${CLOUD_PLATFORM}/services/kms/${encodeURIComponent(instance.crn)}/keys/${key.id}`;
+            };
+        }
+    }
+};
+
+export {
+    SECRET_DESTINATIONS
+}
@@ -0,0 +1,434 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { createHash } from 'node:crypto';
+
+import { logger, LOG_STAGES } from './logger.js';
+import { isSecretReference, promptUserSelection } from './utils.js';
+import { createSecret, createSecretGroup, getPipelineData, getSecret, getSecretGroups, getSecretMetadata, getSecretsByName, getServiceInstances, getToolchainTools, updatePipelineProperty, updateTool, updateTriggerProperty } from './requests.js';
+import { SECRET_KEYS_MAP, VAULT_REGEX } from '../../config.js';
+
+const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
+
+const [, SECRET_CRN_REGEX, SECRET_PATH_REGEX] = VAULT_REGEX;
+
+// well-known credential formats, looked for in the values of plain text properties
+const CREDENTIAL_PATTERNS = [
+    { name: 'private key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----/, confidence: 'high' },
+    { name: 'GitHub token', regex: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/, confidence: 'high' },
+    { name: 'GitLab token', regex: /\bglpat-[A-Za-z0-9_-]{20,}/, confidence: 'high' },
+    { name: 'AWS access key', regex: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/, confidence: 'high' },
+    { name: 'Slack token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/, confidence: 'high' },
+    { name: 'JSON web token', regex: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/, confidence: 'medium' },
+    { name: 'credentials in URL', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:[^\s@/]+@/i, confidence: 'medium' }
+];
+const SECRET_NAME_REGEX = /(api[_-]?key|token|secret|passw(or)?d|pwd|credential|private[_-]?key)/i;
+const MIN_SECRET_LENGTH = 16;
+const MIN_SECRET_ENTROPY = 4.0;     // bits per character, random api keys are around 5, uuids below 4
+
+// shannon entropy of a string, in bits per character
+function getEntropy(str) {
+    const counts = {};
+    for (const c of str) counts[c] = (counts[c] ?? 0) + 1;
+    return Object.values(counts).reduce((sum, n) => sum - (n / str.length) * Math.log2(n / str.length), 0);
+}
+
+// checks whether a plain text value looks like a credential, from its format, or its entropy and the name of its property
+function detectCredential(name, value) {
+    if (typeof value !== 'string' || value.length === 0 || isSecretReference(value)) return null;
+
+    const pattern = CREDENTIAL_PATTERNS.find((p) => p.regex.test(value));
+    if (pattern) return { confidence: pattern.confidence, reason: pattern.name };
+
+    if (value.length < MIN_SECRET_LENGTH || /\s/.test(value) || /^[a-z][a-z0-9+.-]*:\/\//i.test(value)) return null;
+    if (getEntropy(value) < MIN_SECRET_ENTROPY) return null;
+    return SECRET_NAME_REGEX.test(name)
+        ? { confidence: 'medium', reason: 'random value of a secret-like property' }
+        : { confidence: 'low', reason: 'random value' };
+}
+
+/**
+* Detects the plain text secrets of a tool integration, and of its Tekton pipeline.
+*
+* Secrets stored in secure fields (secret tool parameters, secure properties and webhook trigger secrets) have a high
+* confidence. Values of plain text properties and custom tool parameters that look like credentials have a high, medium
+* or low confidence, depending on how they were detected.
+*
+* @param {Object} tool - The tool integration.
+* @param {Object} [pipelineData] - The Tekton pipeline of the tool integration, if it is one.
+* @returns {Object[]} The findings, with their location ('tool', 'env', 'trigger' or 'webhook'), property, trigger,
+* confidence, reason and whether the secret is stored in a secure field.
+**/
+function detectSecrets(tool, pipelineData) {
+    const findings = [];
+
+    // GitHub/GitLab/GRIT integrations with OAuth have no secrets
+    if (['githubconsolidated', 'github_integrated', 'gitlab', 'hostedgit'].includes(tool.tool_type_id) && (tool.parameters?.auth_type === '' || tool.parameters?.auth_type === 'oauth'))
+        return findings;
+
+    const isStored = (value) => typeof value === 'string' && value.length > 0 && !isSecretReference(value);
+
+    (SECRET_KEYS_MAP[tool.tool_type_id] ?? []).forEach((entry) => {
+        if (isStored(tool.parameters?.[entry.key]))
+            findings.push({ location: 'tool', property: entry.key, confidence: 'high', reason: 'secret parameter', secure: true });
+    });
+
+    if (tool.tool_type_id === 'customtool') {
+        Object.entries(tool.parameters ?? {}).forEach(([key, value]) => {
+            const credential = detectCredential(key, value);
+            if (credential) findings.push({ location: 'tool', property: key, ...credential, secure: false });
+        });
+    }
+
+    const checkProperties = (properties, location, trigger) => {
+        properties?.forEach((prop) => {
+            const triggerFields = trigger ? { triggerId: trigger.id, triggerName: trigger.name } : {};
+            if (prop.type === 'secure') {
+                if (isStored(prop.value))
+                    findings.push({ location, property: prop.name, ...triggerFields, confidence: 'high', reason: 'secure property', secure: true });
+            } else if (prop.type === 'text') {
+                const credential = detectCredential(prop.name, prop.value);
+                if (credential) findings.push({ location, property: prop.name, ...triggerFields, ...credential, secure: false });
+            }
+        });
+    };
+
+    if (pipelineData) {
+        checkProperties(pipelineData.properties, 'env');
+        pipelineData.triggers?.forEach((trigger) => {
+            if (['token_matches', 'digest_matches'].includes(trigger.secret?.type) && isStored(trigger.secret?.value))
+                findings.push({ location: 'webhook', property: trigger.secret.key_name, triggerId: trigger.id, triggerName: trigger.name, confidence: 'high', reason: 'webhook trigger secret', secure: true });
+            checkProperties(trigger.properties, 'trigger', trigger);
+        });
+    }
+
+    return findings;
+}
+
+// finds the plain text secrets stored in the tool integrations and tekton pipelines of a toolchain
+// returns the tools of the toolchain, the secrets found in tool integrations and in pipelines, which can be migrated
+// to Secrets Manager, and the other secrets found, which have to be moved manually
+async function findToolchainSecrets(bearer, toolchainId, region) {
+    const toolResults = [];
+    const pipelineResults = [];
+    const otherResults = [];
+
+    const { tools } = await getToolchainTools(bearer, toolchainId, region);
+
+    for (const tool of tools) {
+        const toolUrl = `https://${CLOUD_PLATFORM}/devops/toolchains/${tool.toolchain_id}/configure/${tool.id}?env_id=ibm:yp:${region}`;
+        const toolName = (tool.name || tool.parameters?.name || tool.parameters?.label || '').replace(/\s+/g, '+');
+
+        const isTekton = tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton';
+        const pipelineData = isTekton ? await getPipelineData(bearer, tool.id, region) : undefined;
+        const pipelineBaseUrl = `https://${CLOUD_PLATFORM}/devops/pipelines/tekton/${tool.id}`;
+
+        for (const finding of detectSecrets(tool, pipelineData)) {
+            const url = finding.location === 'tool' ? toolUrl
+                : finding.location === 'env' ? pipelineBaseUrl + `/config/envProperties?env_id=ibm:yp:${region}`
+                    : pipelineBaseUrl + `?env_id=ibm:yp:${region}`;
+
+            if (!finding.secure || finding.location === 'webhook') {
+                otherResults.push({
+                    'Tool Name': toolName,
+                    'Tool Type': tool.tool_type_id,
+                    'Trigger Name': finding.triggerName ?? '',
+                    'Property Name': finding.property,
+                    'Confidence': finding.confidence,
+                    'Reason': finding.reason,
+                    'Tool ID': tool.id,
+                    'Url': url
+                });
+            } else if (finding.location === 'tool') {
+                toolResults.push({
+                    'Tool ID': tool.id,
+                    'Tool Name': toolName,
+                    'Tool Type': tool.tool_type_id,
+                    'Property Name': finding.property,
+                    'Confidence': finding.confidence,
+                    'Reason': finding.reason,
+                    'Url': url
+                });
+            } else {
+                pipelineResults.push({
+                    'Pipeline ID': pipelineData.id,
+                    'Pipeline Name': toolName,
+                    'Trigger Name': finding.triggerName ?? '',
+                    ...(finding.triggerId ? { 'Trigger ID': finding.triggerId } : {}),
+                    'Property Name': finding.property,
+                    'Confidence': finding.confidence,
+                    'Reason': finding.reason,
+                    'Url': url
+                });
+            }
+        }
+    }
+
+    return { tools, toolResults, pipelineResults, otherResults };
+}
+
+// the toolchain and pipeline apis only return the hash of stored secrets
+function hashSecret(value) {
+    return `hash:SHA3-512:${createHash('sha3-512').update(value).digest('hex')}`;
+}
+
+// finds the tool parameters and tekton pipeline and trigger properties of a toolchain set to a value,
+// stored secrets are matched by the hash of the value
+async function findSecretUsages(bearer, toolchainId, region, value) {
+    const hash = hashSecret(value);
+    const matches = (v) => typeof v === 'string' && (v === value || v.toLowerCase() === hash.toLowerCase());
+
+    const usages = [];
+    const { tools } = await getToolchainTools(bearer, toolchainId, region);
+    for (const tool of tools) {
+        const toolName = tool.name || tool.parameters?.name || tool.parameters?.label || tool.tool_type_id;
+        const target = { toolchain_id: toolchainId, region: region, tool_name: toolName };
+
+        Object.entries(tool.parameters ?? {}).forEach(([key, paramValue]) => {
+            if (matches(paramValue)) usages.push({ ...target, kind: 'tool', tool_id: tool.id, property: key });
+        });
+
+        if (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton') {
+            const pipelineData = await getPipelineData(bearer, tool.id, region);
+            pipelineData.properties?.forEach((prop) => {
+                if (matches(prop.value)) usages.push({ ...target, kind: 'env', pipeline_id: pipelineData.id, property: prop.name, type: prop.type });
+            });
+            pipelineData.triggers?.forEach((trigger) => {
+                trigger.properties?.forEach((prop) => {
+                    if (matches(prop.value)) usages.push({ ...target, kind: 'trigger', pipeline_id: pipelineData.id, trigger_id: trigger.id, trigger_name: trigger.name, property: prop.name, type: prop.type });
+                });
+            });
+        }
+    }
+    return usages;
+}
+
+// replaces a secret in a tool integration or a pipeline or trigger property, with a secret reference or a stored value,
+// pipeline and trigger properties are made secure unless their type is given
+async function updateSecretProperty(bearer, target, value) {
+    if (target.kind === 'tool') {
+        await updateTool(bearer, target.toolchain_id, target.tool_id, target.region, { parameters: { [target.property]: value } });
+    } else if (target.kind === 'trigger') {
+        await updateTriggerProperty(bearer, target.pipeline_id, target.trigger_id, target.region, { name: target.property, type: target.type ?? 'secure', value: value });
+    } else {
+        await updatePipelineProperty(bearer, target.pipeline_id, target.region, { name: target.property, type: target.type ?? 'secure', value: value });
+    }
+}
+
+// parses a crn or ref:// secret reference into its source instance, and the secret id or group and name
+function parseSecretRef(ref) {
+    if (SECRET_CRN_REGEX.test(ref)) {
+        const { region, instance_id, secret_id } = ref.match(SECRET_CRN_REGEX).groups;
+        return { instance: { id: instance_id, region: region }, secretId: secret_id };
+    }
+    if (SECRET_PATH_REGEX.test(ref)) {
+        // ref://secrets-manager.<region>.<resource group>.<instance name>/<secret group>/<secret name>
+        const [instancePath, groupName, secretName] = ref.match(SECRET_PATH_REGEX).groups.instance_path.split('/');
+        const [region, , ...nameParts] = instancePath.split('.');
+        return { instance: { name: nameParts.join('.'), region: region }, groupName: groupName, secretName: secretName };
+    }
+    return null;
+}
+
+// finds the Secrets Manager instance and the id of the secret of a crn or ref:// secret reference
+async function resolveSecretRef(bearer, accountId, ref) {
+    const parsed = parseSecretRef(ref);
+    if (!parsed) throw Error(`"${ref}" is not the CRN or ref:// reference of a Secrets Manager secret`);
+    if (parsed.secretId) return parsed;
+
+    const instance = (await getServiceInstances(bearer, accountId, 'secrets-manager')).find((i) => i.name === parsed.instance.name && i.region_id === parsed.instance.region);
+    if (!instance) throw Error(`Secrets Manager instance "${parsed.instance.name}" not found in ${parsed.instance.region}, or you do not have permission to view it`);
+
+    const group = (await getSecretGroups(bearer, instance.id, instance.region_id)).find((g) => g.name === parsed.groupName);
+    const [secret] = group ? await getSecretsByName(bearer, instance.id, instance.region_id, group.id, parsed.secretName) : [];
+    if (!secret) throw Error(`Secret "${parsed.groupName}/${parsed.secretName}" not found in Secrets Manager instance "${instance.name}"`);
+
+    return { instance: { id: instance.id, name: instance.name, region: instance.region_id }, secretId: secret.id };
+}
+
+// rewrites the secret references (crns and ref:// paths) pointing at Secrets Manager instances that were remapped,
+// to the secrets in the new instances, from the secret mapping or by looking up a secret with the same group and name
+// when copying secrets, missing arbitrary secrets are created in the new instances, which can also be selected for
+// instances that are only used by secret references
+// returns the references that could not be resolved, {vault::...} references are resolved through the tool integration
+async function rewriteSecretRefs(tfFiles, context) {
+    const {
+        srcToken, srcAccountId, token, targetRegion, getTargetInstances,
+        secretMapping = {}, remappedInstances = [], copySecrets = false, skipUserConfirmation = false
+    } = context;
+    if (remappedInstances.length === 0 && Object.keys(secretMapping).length === 0 && !copySecrets) return [];
+
+    let srcInstances;
+    const getSrcInstances = async () => {
+        if (!srcInstances) srcInstances = await getServiceInstances(srcToken, srcAccountId, 'secrets-manager');
+        return srcInstances;
+    };
+
+    // the source instance ids are needed to match crn references, tool integrations may only have the instance name
+    for (const r of remappedInstances.filter((r) => !r.old.id)) {
+        const srcInstance = (await getSrcInstances()).find((i) => i.name === r.old.name && (!r.old.region || i.region_id === r.old.region));
+        if (srcInstance) Object.assign(r.old, { id: srcInstance.id, crn: srcInstance.crn, region: srcInstance.region_id });
+    }
+
+    // fills in the id, name and crn of a source instance referenced by crn or path
+    const resolveSrcInstance = async (instance) => {
+        const srcInstance = (await getSrcInstances()).find((i) => i.id === instance.id || (i.name === instance.name && i.region_id === instance.region));
+        return srcInstance ? { id: srcInstance.id, name: srcInstance.name, crn: srcInstance.crn, region: srcInstance.region_id } : instance;
+    };
+
+    const selectedInstances = {}; // by source instance, instances selected to copy secrets to
+    const getNewInstance = async (instance) => {
+        const mappingKey = [instance.crn, instance.name].find((key) => key && key in secretMapping);
+        if (mappingKey) {
+            const mappedValue = secretMapping[mappingKey];
+            const newInstance = (await getTargetInstances()).find((i) => [i.crn, i.name, i.id].includes(mappedValue));
+            if (!newInstance) throw Error(`instance "${mappedValue}" from secret mapping file was not found, or you do not have permission to view it`);
+            return newInstance;
+        }
+
+        const remapped = remappedInstances.find((r) => (instance.id && r.old.id === instance.id) || (r.old.name === instance.name && r.old.region === instance.region));
+        if (remapped) return remapped.new;
+
+        if (!copySecrets || skipUserConfirmation || instance.region === targetRegion) return null;
+
+        const key = instance.id ?? `${instance.region}.${instance.name}`;
+        if (!(key in selectedInstances)) {
+            const instances = await getTargetInstances();
+            const choices = [...instances].sort((a, b) => (b.region_id === targetRegion) - (a.region_id === targetRegion));
+            const current = instance.name ?? instance.id;
+            const choice = instances.length === 0 ? 0 : await promptUserSelection(
+                `Select the secrets-manager instance to copy the secrets referenced from the instance "${current}" in ${instance.region} to:`,
+                [`Keep "${current}"`, ...choices.map((i) => `\n    Name: ${i.name} (${i.id})\n    Region: ${i.region_id}\n    Resource Group: ${i.resource_group_name}`)]
+            );
+            selectedInstances[key] = choice === 0 ? null : choices[choice - 1];
+        }
+        return selectedInstances[key];
+    };
+
+    const groupsCache = {};
+    const getGroups = async (bearer, instanceId, region) => {
+        if (!groupsCache[instanceId]) groupsCache[instanceId] = await getSecretGroups(bearer, instanceId, region);
+        return groupsCache[instanceId];
+    };
+
+    // reads the arbitrary secret from the source instance and creates it in the new instance, with its group if missing
+    const copySecret = async (instance, newInstance, secretId, groupName) => {
+        const secret = await getSecret(srcToken, instance.id, instance.region, secretId);
+        if (secret.secret_type !== 'arbitrary') throw Error(`only arbitrary secrets can be copied, "${secret.name}" is a ${secret.secret_type} secret`);
+
+        const groups = await getGroups(token, newInstance.id, newInstance.region_id);
+        let group = groups.find((g) => g.name === groupName);
+        if (!group) {
+            const srcGroup = (await getGroups(srcToken, instance.id, instance.region)).find((g) => g.name === groupName);
+            group = await createSecretGroup(token, newInstance.id, newInstance.region_id, { name: groupName, description: srcGroup?.description });
+            groups.push(group);
+        }
+
+        const newSecret = await createSecret(token, newInstance.id, newInstance.region_id, {
+            name: secret.name,
+            description: secret.description,
+            secret_type: 'arbitrary',
+            secret_group_id: group.id,
+            labels: secret.labels ?? [],
+            payload: secret.payload
+        });
+        logger.info(`Copied secret "${groupName}/${secret.name}" to the secrets-manager instance "${newInstance.name}"`, LOG_STAGES.setup);
+        return newSecret.id;
+    };
+
+    // finds the secret with the same group and name in the new instance, or copies it, returns its id
+    const findSecret = async (instance, newInstance, secretId, groupName, secretName) => {
+        const groups = await getGroups(token, newInstance.id, newInstance.region_id);
+        const group = groups.find((g) => g.name === groupName);
+        const secrets = group ? await getSecretsByName(token, newInstance.id, newInstance.region_id, group.id, secretName) : [];
+        if (secrets.length > 0) return secrets[0].id;
+
+        if (copySecrets) {
+            if (!secretId) {
+                const srcGroupId = (await getGroups(srcToken, instance.id, instance.region)).find((g) => g.name === groupName)?.id;
+                secretId = srcGroupId ? (await getSecretsByName(srcToken, instance.id, instance.region, srcGroupId, secretName))[0]?.id : undefined;
+                if (!secretId) throw Error(`secret "${groupName}/${secretName}" not found in source instance "${instance.name ?? instance.id}"`);
+            }
+            return copySecret(instance, newInstance, secretId, groupName);
+        }
+        if (!group) throw Error(`secret group "${groupName}" not found in instance "${newInstance.name}"`);
+        throw Error(`secret "${groupName}/${secretName}" not found in instance "${newInstance.name}"`);
+    };
+
+    const rewriteRef = async (ref) => {
+        const parsed = parseSecretRef(ref);
+        if (!parsed) return ref;
+
+        const instance = await resolveSrcInstance(parsed.instance);
+        const newInstance = await getNewInstance(instance);
+        if (!newInstance) return ref;
+
+        let { groupName, secretName } = parsed;
+        if (parsed.secretId) {
+            const secret = await getSecretMetadata(srcToken, instance.id, instance.region, parsed.secretId);
+            if (!secret) throw Error(`secret not found in source instance "${instance.name ?? instance.id}"`);
+            groupName = (await getGroups(srcToken, instance.id, instance.region)).find((g) => g.id === secret.secret_group_id)?.name ?? 'default';
+            secretName = secret.name;
+        }
+
+        const newSecretId = await findSecret(instance, newInstance, parsed.secretId, groupName, secretName);
+        return parsed.secretId
+            ? `${newInstance.crn.split(':').slice(0, 8).join(':')}:secret:${newSecretId}`
+            : `ref://secrets-manager.${newInstance.region_id}.${newInstance.resource_group_name}.${newInstance.name}/${groupName}/${secretName}`;
+    };
+
+    const unresolved = [];
+    let numRewritten = 0;
+    const rewrite = async (obj, key, resourceName, property) => {
+        const ref = obj[key];
+        if (typeof ref !== 'string') return;
+
+        let newRef = ref;
+        try {
+            newRef = ref in secretMapping ? secretMapping[ref] : await rewriteRef(ref);
+        } catch (err) {
+            unresolved.push({ resource: resourceName, property: property, reference: ref, reason: err.message });
+        }
+        if (newRef !== ref) {
+            obj[key] = newRef;
+            numRewritten++;
+        }
+    };
+
+    for (const { tfObj } of tfFiles) {
+        for (const [resourceType, resources] of Object.entries(tfObj['resource'])) {
+            for (const [k, v] of Object.entries(resources)) {
+                const resourceName = `${resourceType}.${k}`;
+
+                if (resourceType.startsWith('ibm_cd_toolchain_tool_')) {
+                    const params = v['parameters']?.[0] ?? {};
+                    for (const param of Object.keys(params)) {
+                        await rewrite(params, param, resourceName, param);
+                    }
+                } else if (resourceType === 'ibm_cd_tekton_pipeline_property' || resourceType === 'ibm_cd_tekton_pipeline_trigger_property') {
+                    if (v['type'] === 'secure') await rewrite(v, 'value', resourceName, v['name']);
+                } else if (resourceType === 'ibm_cd_tekton_pipeline_trigger' && v['secret']?.[0]) {
+                    await rewrite(v['secret'][0], 'value', resourceName, 'secret');
+                }
+            }
+        }
+    }
+
+    if (numRewritten > 0) logger.info(`Rewrote ${numRewritten} secret reference(s) to the remapped Secrets Manager instance(s)`, LOG_STAGES.setup);
+    return unresolved;
+}
+
+export {
+    detectSecrets,
+    findToolchainSecrets,
+    findSecretUsages,
+    resolveSecretRef,
+    rewriteSecretRefs,
+    updateSecretProperty
+}
@@ -16,7 +16,9 @@ import { jsonToTf } from 'json-to-tf';
 
 import { validateToolchainId, validateGritUrl } from './validate.js';
 import { logger, LOG_STAGES } from './logger.js';
-import { escapeReservedChars, getRandChars, promptUserInput, replaceUrlRegion } from './utils.js';
+import { decomposeCrn, escapeReservedChars, getRandChars, promptUserInput, promptUserSelection, replaceUrlRegion } from './utils.js';
+import { getResourceGroups, getServiceInstances } from './requests.js';
+import { rewriteSecretRefs } from './secrets.js';
 
 const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
 const DEV_MODE = CLOUD_PLATFORM !== 'cloud.ibm.com';
@@ -28,6 +30,23 @@ const readFilePromise = promisify(fs.readFile);
 const readDirPromise = promisify(fs.readdir);
 const writeFilePromise = promisify(fs.writeFile)
 
+// tool integrations bound to a service instance, which can be remapped to another instance when copying
+const INSTANCE_TOOLS = {
+    'ibm_cd_toolchain_tool_appconfig': 'apprapp',
+    'ibm_cd_toolchain_tool_eventnotifications': 'event-notifications',
+    'ibm_cd_toolchain_tool_keyprotect': 'kms',
+    'ibm_cd_toolchain_tool_secretsmanager': 'secrets-manager'
+};
+
+// maps the instance parameters of the terraform resources to the tool parameters used in s2s requests
+const INSTANCE_PARAMS = {
+    'instance_crn': 'instance-crn',
+    'instance_name': 'instance-name',
+    'instance_id': 'instance-id',
+    'location': 'region',
+    'resource_group_name': 'resource-group'
+};
+
 async function execPromise(command, options) {
     try {
         const exec = promisify(child_process.exec);
@@ -56,10 +75,10 @@ function setTerraformEnv(apiKey, verbosity) {
     }
 }
 
-async function initProviderFile(targetRegion, dir) {
+async function initProviderFile(targetRegion, dir, useVariables = false) {
     const newProviderTf = { 'provider': {}, 'terraform': { 'required_providers': {} }, 'variable': {} };
 
-    newProviderTf['provider']['ibm'] = [{ 'ibmcloud_api_key': '${var.ibmcloud_api_key}', 'region': targetRegion }];
+    newProviderTf['provider']['ibm'] = [{ 'ibmcloud_api_key': '${var.ibmcloud_api_key}', 'region': useVariables ? '${var.region}' : targetRegion }];
     newProviderTf['terraform']['required_providers']['ibm'] = { 'source': 'IBM-Cloud/ibm' };
     newProviderTf['variable']['ibmcloud_api_key'] = {};
 
@@ -70,17 +89,18 @@ async function initProviderFile(targetRegion, dir) {
 
 async function setupTerraformFiles(config) {
     const {
-        auth: { token },
+        auth: { token, accountId, srcToken = token, srcAccountId = accountId },
         source: { srcRegion, srcToolchainId },
         target: { targetRegion, targetRgId, targetToolchainName, targetTag },
-        options: { disableTriggers, includeS2S, isCompact, skipUserConfirmation },
+        options: { copySecrets, disableTriggers, includeS2S, isCompact, skipUserConfirmation, useVariables },
         paths: { tempDir, outputDir },
-        additional: { gritMapping, moreTfResources, timeSuffix }
+        additional: { gritMapping, instanceMapping = {}, secretMapping = {}, moreTfResources, s2sAuthTools = [], timeSuffix }
     } = config;
 
     const promises = [];
+    const instanceMappingErrors = [];
 
-    const writeProviderPromise = await initProviderFile(targetRegion, outputDir);
+    const writeProviderPromise = await initProviderFile(targetRegion, outputDir, useVariables);
     promises.push(writeProviderPromise);
 
     // Get toolchain resource
@@ -151,6 +171,10 @@ async function setupTerraformFiles(config) {
         });
     }
 
+    const tfFiles = []; // processed files, written once all files are processed
+    const instancesByService = {}; // service instances in the target account, fetched when needed
+    const remappedInstances = []; // secrets manager instances remapped, for rewriting the secret references
+
     for (const fileName of files) {
         const tfFile = await readFilePromise(`${tempDir}/generated/${fileName}`, 'utf8');
         const tfFileObj = await tfToJson(fileName, tfFile);
@@ -414,7 +438,51 @@ async function setupTerraformFiles(config) {
             }
         }
 
-        const newTfFileObjStr = JSON.stringify(newTfFileObj);
+        for (const resourceType of Object.keys(INSTANCE_TOOLS)) {
+            for (const [k, v] of Object.entries(newTfFileObj['resource'][resourceType] ?? {})) {
+                try {
+                    await remapServiceInstance(resourceType, k, v, {
+                        token, accountId, targetRegion, instanceMapping, instancesByService, remappedInstances, s2sAuthTools, skipUserConfirmation
+                    });
+                } catch (err) {
+                    // an explicit mapping must not fall back to the original instance, failures to prompt only leave it unchanged
+                    if (getMappedInstanceKey(v['parameters']?.[0], instanceMapping)) {
+                        logger.error(`Could not remap the service instance of the following tool resource: "${k}", ${err.message}`, LOG_STAGES.setup);
+                        instanceMappingErrors.push(k);
+                    } else {
+                        logger.warn(`Warning! Could not remap the service instance of the following tool resource: "${k}", ${err.message}`, LOG_STAGES.setup, true);
+                    }
+                }
+            }
+        }
+
+        tfFiles.push({ fileName: fileName, resourceName: resourceName, tfObj: newTfFileObj });
+    }
+
+    if (instanceMappingErrors.length > 0) throw Error(`One or more invalid entries in instance mapping file, error count: ${instanceMappingErrors.length}`);
+
+    // handle case where there is no GH tool integrations, and not compact
+    if (hasGHE && !isCompact && !files.includes('cd_toolchain_tool_githubconsolidated.tf')) {
+        const newTfFileObj = { 'resource': { ['ibm_cd_toolchain_tool_githubconsolidated']: newConvertedTf } };
+        tfFiles.push({ fileName: 'cd_toolchain_tool_githubconsolidated.tf', resourceName: 'ibm_cd_toolchain_tool_githubconsolidated', tfObj: newTfFileObj });
+    }
+
+    const unresolvedRefs = await rewriteSecretRefs(tfFiles, {
+        srcToken, srcAccountId, token, targetRegion, secretMapping, remappedInstances, copySecrets, skipUserConfirmation,
+        getTargetInstances: () => getInstances(token, accountId, 'secrets-manager', instancesByService)
+    });
+    if (unresolvedRefs.length > 0) {
+        logger.warn('Warning! The following secret reference(s) could not be rewritten to the remapped Secrets Manager instance(s), and still point at the original secrets:', LOG_STAGES.setup, true);
+        logger.table(unresolvedRefs);
+    }
+
+    if (useVariables) {
+        const variables = parameterizeTfFiles(tfFiles, targetRegion, newTcId);
+        promises.push(writeVariableFiles(variables, outputDir));
+    }
+
+    for (const { fileName, resourceName, tfObj } of tfFiles) {
+        const newTfFileObjStr = JSON.stringify(tfObj);
         let newTfFile = replaceDependsOn(jsonToTf(newTfFileObjStr));
         if (includeS2S && (isCompact || resourceName === 'ibm_cd_toolchain')) {
             newTfFile = addS2sScriptToToolchainTf(newTfFile, timeSuffix);
@@ -423,18 +491,329 @@ async function setupTerraformFiles(config) {
         promises.push(copyResourcesPromise);
     }
 
-    // handle case where there is no GH tool integrations, and not compact
-    if (hasGHE && !isCompact && !files.includes('cd_toolchain_tool_githubconsolidated.tf')) {
-        const newTfFileObj = { 'resource': { ['ibm_cd_toolchain_tool_githubconsolidated']: newConvertedTf } };
-        const newTfFileObjStr = JSON.stringify(newTfFileObj);
-        const newTfFile = jsonToTf(newTfFileObjStr);
-        const copyResourcesPromise = writeFilePromise(`${outputDir}/cd_toolchain_tool_githubconsolidated.tf`, newTfFile);
-        promises.push(copyResourcesPromise);
+    return Promise.all(promises);
+}
+
+// service instances in the target account with their resource group names, fetched once per service
+async function getInstances(token, accountId, serviceName, instancesByService) {
+    if (!instancesByService[serviceName]) {
+        const instances = await getServiceInstances(token, accountId, serviceName);
+        const resourceGroups = instances.length > 0 ? await getResourceGroups(token, accountId, [...new Set(instances.map((i) => i.resource_group_id))]) : [];
+        instancesByService[serviceName] = instances.map((i) => ({
+            ...i,
+            resource_group_name: resourceGroups.find((g) => g.id === i.resource_group_id)?.name ?? ''
+        }));
+    }
+    return instancesByService[serviceName];
+}
+
+// points a tool integration at another service instance, from the instance mapping or by prompting the user
+// when the instance is not in the target region, the matching s2s request is updated to the same instance
+async function remapServiceInstance(resourceType, tfName, resource, context) {
+    const { token, accountId, targetRegion, instanceMapping, instancesByService, remappedInstances, s2sAuthTools, skipUserConfirmation } = context;
+    const params = resource['parameters']?.[0];
+    if (!params) return;
+
+    const instanceCrn = params['instance_crn'];
+    const instanceKey = getMappedInstanceKey(params, instanceMapping);
+    const instanceRegion = params['location'] || (instanceCrn ? decomposeCrn(instanceCrn).location : '');
+
+    if (!instanceKey && (skipUserConfirmation || !instanceRegion || instanceRegion === targetRegion)) return;
+
+    const serviceName = INSTANCE_TOOLS[resourceType];
+    const instances = await getInstances(token, accountId, serviceName, instancesByService);
+
+    let newInstance;
+    if (instanceKey) {
+        const mappedValue = instanceMapping[instanceKey];
+        newInstance = instances.find((i) => [i.crn, i.name, i.id].includes(mappedValue));
+        if (!newInstance) throw Error(`instance "${mappedValue}" from instance mapping file was not found, or you do not have permission to view it`);
+    } else {
+        if (instances.length === 0) return;
+
+        // instances in the target region first
+        const choices = [...instances].sort((a, b) => (b.region_id === targetRegion) - (a.region_id === targetRegion));
+        const current = params['instance_name'] || instanceCrn || params['instance_id'];
+        const choice = await promptUserSelection(
+            `Select the ${serviceName} instance for the tool integration "${params['name'] ?? tfName}", currently "${current}" in ${instanceRegion}:`,
+            [`Keep "${current}"`, ...choices.map((i) => `\n    Name: ${i.name} (${i.id})\n    Region: ${i.region_id}\n    Resource Group: ${i.resource_group_name}`)]
+        );
+        if (choice === 0) return;
+        newInstance = choices[choice - 1];
+    }
+
+    if (serviceName === 'secrets-manager') {
+        remappedInstances.push({
+            old: { crn: instanceCrn, name: params['instance_name'], id: params['instance_id'] ?? (instanceCrn ? decomposeCrn(instanceCrn).serviceInstance : undefined), region: instanceRegion },
+            new: newInstance
+        });
+    }
+
+    const newValues = {
+        'instance_crn': newInstance.crn,
+        'instance_name': newInstance.name,
+        'instance_id': newInstance.id,
+        'location': newInstance.region_id,
+        'resource_group_name': newInstance.resource_group_name
+    };
+
+    // only the parameters the tool integration already has, which depend on how it selects its instance
+    const s2sTool = s2sAuthTools.find((t) => t._tfName === tfName);
+    for (const [tfParam, s2sParam] of Object.entries(INSTANCE_PARAMS)) {
+        if (params[tfParam]) params[tfParam] = newValues[tfParam];
+        if (s2sTool?.parameters?.[s2sParam]) s2sTool.parameters[s2sParam] = newValues[tfParam];
+    }
+
+    if (resourceType === 'ibm_cd_toolchain_tool_appconfig') {
+        logger.warn(`Warning! The environment and collection of the App Configuration tool integration "${params['name'] ?? tfName}" must exist in the instance "${newInstance.name}"`, LOG_STAGES.setup, true);
+    }
+    logger.info(`Tool integration "${params['name'] ?? tfName}" remapped to ${serviceName} instance "${newInstance.name}" (${newInstance.region_id})`, LOG_STAGES.setup);
+}
+
+// returns the instance crn, name or id of a tool integration that has an entry in the instance mapping
+function getMappedInstanceKey(params, instanceMapping) {
+    return [params?.['instance_crn'], params?.['instance_name'], params?.['instance_id']].find((key) => key && key in instanceMapping);
+}
+
+// replaces the region, resource group, toolchain name, tags and repository urls with variables,
+// returns the variables, with the replaced values as defaults
+function parameterizeTfFiles(tfFiles, targetRegion, tcTfName) {
+    const variables = {
+        region: { description: 'The region of the toolchain', default: targetRegion }
+    };
+
+    const repoResources = [
+        'ibm_cd_toolchain_tool_bitbucketgit',
+        'ibm_cd_toolchain_tool_hostedgit',
+        'ibm_cd_toolchain_tool_gitlab',
+        'ibm_cd_toolchain_tool_githubconsolidated'
+    ];
+    const repoUrlToVar = {};
+
+    // first pass for the toolchain and repository tool integrations, which may be in different files
+    for (const { tfObj } of tfFiles) {
+        const toolchain = tfObj['resource']['ibm_cd_toolchain']?.[tcTfName];
+        if (toolchain) {
+            variables['resource_group_id'] = { description: 'The ID of the resource group of the toolchain', default: toolchain['resource_group_id'] };
+            variables['toolchain_name'] = { description: 'The name of the toolchain', default: toolchain['name'] };
+            variables['toolchain_tags'] = { description: 'The tags of the toolchain', default: (toolchain['tags'] ?? []).flat() };
+
+            toolchain['resource_group_id'] = '${var.resource_group_id}';
+            toolchain['name'] = '${var.toolchain_name}';
+            toolchain['tags'] = '${var.toolchain_tags}';
+        }
+
+        for (const resourceType of repoResources) {
+            for (const [k, v] of Object.entries(tfObj['resource'][resourceType] ?? {})) {
+                const repoUrl = v['initialization']?.[0]?.['repo_url'];
+                if (!repoUrl) continue;
+
+                if (!(repoUrl in repoUrlToVar)) {
+                    repoUrlToVar[repoUrl] = `${k}_repo_url`.replace(/-/g, '_');
+                    variables[repoUrlToVar[repoUrl]] = { description: escapeReservedChars(`The repository URL of the "${v['name'] ?? k}" tool integration`), default: repoUrl };
+                }
+                v['initialization'][0]['repo_url'] = `\${var.${repoUrlToVar[repoUrl]}}`;
+            }
+        }
+    }
+
+    // second pass for the pipeline definitions and triggers using the repositories
+    for (const { tfObj } of tfFiles) {
+        for (const resourceType of ['ibm_cd_tekton_pipeline_definition', 'ibm_cd_tekton_pipeline_trigger']) {
+            for (const v of Object.values(tfObj['resource'][resourceType] ?? {})) {
+                const sourceProps = v['source']?.[0]?.['properties']?.[0];
+                if (sourceProps?.['url'] in repoUrlToVar) {
+                    sourceProps['url'] = `\${var.${repoUrlToVar[sourceProps['url']]}}`;
+                }
+            }
+        }
+    }
+
+    return variables;
+}
+
+// writes variables.tf with the default values, and terraform.tfvars to override them
+async function writeVariableFiles(variables, dir) {
+    // one variable at a time, jsonToTf drops the blocks following a list value
+    const variablesTf = Object.entries(variables)
+        .map(([k, v]) => jsonToTf(JSON.stringify({ 'variable': { [k]: v } })))
+        .join('\n\n');
+
+    const maxLength = Math.max(...Object.keys(variables).map((k) => k.length));
+    const tfVars = Object.entries(variables)
+        .map(([k, v]) => `${k.padEnd(maxLength)} = ${JSON.stringify(v.default)}`)
+        .join('\n');
+
+    return Promise.all([
+        writeFilePromise(`${dir}/variables.tf`, variablesTf),
+        writeFilePromise(`${dir}/terraform.tfvars`, tfVars + '\n')
+    ]);
+}
+
+// copies the imported terraform without any copy-specific changes, with its import blocks,
+// to manage the existing toolchain in place
+async function setupExportTerraformFiles(config) {
+    const { srcRegion, tempDir, outputDir, isCompact, isModule } = config;
+
+    await initProviderFile(srcRegion, outputDir);
+    let importTf = await readFilePromise(`${tempDir}/import.tf`, 'utf8');
+
+    let files = await readDirPromise(`${tempDir}/generated`);
+    files = isCompact ? files.filter((f) => f === 'resources.tf') : files.filter((f) => f.startsWith('cd_'));
+
+    const tfFiles = [];
+    for (const fileName of files) {
+        const tfFile = await readFilePromise(`${tempDir}/generated/${fileName}`, 'utf8');
+        const tfFileObj = await tfToJson(fileName, tfFile);
+
+        const newTfFileObj = { 'resource': {} };
+        for (const [key, value] of Object.entries(tfFileObj['resource'])) {
+            for (const [k, v] of Object.entries(value)) {
+                // remove depends_on left empty when no matching repository tool integration was found
+                if (v[0]['depends_on']?.length === 0) delete v[0]['depends_on'];
+
+                // re-escape values unescaped when parsing, except for jsonencode values
+                if (key === 'ibm_cd_tekton_pipeline_trigger' && v[0]['filter']) {
+                    v[0]['filter'] = escapeReservedChars(v[0]['filter']);
+                }
+                if ((key === 'ibm_cd_tekton_pipeline_property' || key === 'ibm_cd_tekton_pipeline_trigger_property') &&
+                    v[0]['value'] && !(v[0]['value'].startsWith('${jsonencode(') && v[0]['value'].endsWith(')}'))) {
+                    v[0]['value'] = escapeReservedChars(v[0]['value']);
+                }
+                newTfFileObj['resource'][key] = { ...(newTfFileObj['resource'][key] ?? []), [k]: v[0] };
+            }
+        }
+        tfFiles.push({ fileName: fileName, tfObj: newTfFileObj });
+    }
+
+    const promises = [];
+
+    if (isModule) {
+        const modules = splitPipelineModules(tfFiles);
+
+        for (const [moduleName, { tfObj, variables, resources }] of Object.entries(modules)) {
+            const moduleDir = `${outputDir}/modules/${moduleName}`;
+            fs.mkdirSync(moduleDir, { recursive: true });
+
+            promises.push(writeFilePromise(`${moduleDir}/main.tf`, replaceDependsOn(jsonToTf(JSON.stringify(tfObj)))));
+            // child modules need their own provider requirements, or the provider defaults to hashicorp/ibm
+            promises.push(writeFilePromise(`${moduleDir}/versions.tf`, jsonToTf(JSON.stringify({ 'terraform': { 'required_providers': { 'ibm': { 'source': 'IBM-Cloud/ibm' } } } }))));
+            promises.push(writeFilePromise(`${moduleDir}/variables.tf`, Object.entries(variables)
+                .map(([k, v]) => `variable "${k}" {\n  description = "${escapeReservedChars(v.description)}"\n}\n`)
+                .join('\n')));
+
+            // import the resources at their address in the module
+            for (const resource of resources) {
+                importTf = importTf.replaceAll(`  to = ${resource}\n`, `  to = module.${moduleName}.${resource}\n`);
+            }
+        }
+        promises.push(writeFilePromise(`${outputDir}/modules.tf`, moduleBlocksToTf(modules)));
+    }
+
+    promises.push(writeFilePromise(`${outputDir}/import.tf`, importTf));
+    for (const { fileName, tfObj } of tfFiles) {
+        // pipelines may have been moved to modules
+        for (const [key, value] of Object.entries(tfObj['resource'])) {
+            if (Object.keys(value).length === 0) delete tfObj['resource'][key];
+        }
+        if (Object.keys(tfObj['resource']).length === 0) continue;
+
+        promises.push(writeFilePromise(`${outputDir}/${fileName}`, replaceDependsOn(jsonToTf(JSON.stringify(tfObj)))));
     }
 
     return Promise.all(promises);
 }
 
+// moves each tekton pipeline and its definitions, properties, triggers and trigger properties out of tfFiles
+// into a module, references to resources outside of the module and repository urls become module variables
+function splitPipelineModules(tfFiles) {
+    const pipelineResources = [
+        'ibm_cd_tekton_pipeline',
+        'ibm_cd_tekton_pipeline_definition',
+        'ibm_cd_tekton_pipeline_property',
+        'ibm_cd_tekton_pipeline_trigger',
+        'ibm_cd_tekton_pipeline_trigger_property'
+    ];
+    const REF_PATTERN = /^\$\{([a-z0-9_]+)\.([a-zA-Z0-9_-]+)(?:\.([a-z0-9_]+))?\}$/;
+
+    // modules are named after the pipeline tool integration, which stays in the root module
+    const modules = {};
+    for (const { tfObj } of tfFiles) {
+        for (const [k, v] of Object.entries(tfObj['resource'])) {
+            if (!pipelineResources.includes(k)) continue;
+            for (const [name, resource] of Object.entries(v)) {
+                const moduleName = REF_PATTERN.exec(resource['pipeline_id'] ?? '')?.[2];
+                if (!moduleName) continue;
+
+                modules[moduleName] ??= { tfObj: { 'resource': {} }, variables: {}, inputs: {}, dependsOn: new Set(), resources: [] };
+                modules[moduleName].tfObj['resource'][k] = { ...(modules[moduleName].tfObj['resource'][k] ?? {}), [name]: resource };
+                modules[moduleName].resources.push(`${k}.${name}`);
+                delete v[name];
+            }
+        }
+    }
+
+    for (const module of Object.values(modules)) {
+        const repoUrlToVar = {};
+
+        const toVariable = (ref, varName, description) => {
+            if (!(varName in module.variables)) {
+                module.variables[varName] = { description: description };
+                module.inputs[varName] = ref;
+            }
+            return `\${var.${varName}}`;
+        };
+
+        for (const [k, v] of Object.entries(module.tfObj['resource'])) {
+            for (const resource of Object.values(v)) {
+                // the module block depends on the repository tool integrations instead
+                const repoRef = REF_PATTERN.exec(resource['depends_on']?.[0] ?? '');
+                resource['depends_on']?.forEach((ref) => module.dependsOn.add(ref));
+                delete resource['depends_on'];
+
+                const sourceProps = resource['source']?.[0]?.['properties']?.[0];
+                if (sourceProps?.['url']) {
+                    const url = sourceProps['url'];
+                    repoUrlToVar[url] ??= repoRef ? `${repoRef[2].replace(/-/g, '_')}_repo_url` : `repo_url_${Object.keys(repoUrlToVar).length + 1}`;
+                    sourceProps['url'] = toVariable(JSON.stringify(url), repoUrlToVar[url], `The URL of the repository ${url}`);
+                }
+
+                const workerRef = REF_PATTERN.exec(resource['worker']?.[0]?.['id'] ?? '');
+                if (workerRef) {
+                    resource['worker'][0]['id'] = toVariable(resource['worker'][0]['id'].slice(2, -1), 'worker_id', 'The ID of the private worker tool integration running the pipeline');
+                }
+
+                if (resource['pipeline_id']) {
+                    resource['pipeline_id'] = toVariable(resource['pipeline_id'].slice(2, -1), 'pipeline_id', 'The ID of the pipeline tool integration');
+                }
+
+                // integration properties refer to other tool integrations
+                const valueRef = REF_PATTERN.exec(resource['value'] ?? '');
+                if ((k === 'ibm_cd_tekton_pipeline_property' || k === 'ibm_cd_tekton_pipeline_trigger_property') && valueRef && !valueRef[1].startsWith('ibm_cd_tekton_')) {
+                    resource['value'] = toVariable(resource['value'].slice(2, -1), `${valueRef[2].replace(/-/g, '_')}_${valueRef[3]}`, `The ${valueRef[3]} of the ${valueRef[2]} tool integration`);
+                }
+            }
+        }
+    }
+
+    return modules;
+}
+
+// module blocks for the root module, calling each pipeline module
+function moduleBlocksToTf(modules) {
+    return Object.entries(modules).map(([moduleName, { inputs, dependsOn }]) => {
+        const maxLength = Math.max('source'.length, ...Object.keys(inputs).map((k) => k.length));
+        let block = `module "${moduleName}" {\n  ${'source'.padEnd(maxLength)} = "./modules/${moduleName}"\n`;
+        for (const [k, v] of Object.entries(inputs)) {
+            block += `  ${k.padEnd(maxLength)} = ${v}\n`;
+        }
+        if (dependsOn.size > 0) {
+            block += `\n  depends_on = [\n${[...dependsOn].map((ref) => `    ${ref.slice(2, -1)}`).join(',\n')}\n  ]\n`;
+        }
+        return block + '}\n';
+    }).join('\n');
+}
+
 async function runTerraformInit(dir, verbosity) {
     logger.log('Running command \'terraform init\'', LOG_STAGES.tf);
     const out = await execPromise('terraform init', { cwd: dir });
@@ -470,8 +849,17 @@ async function runTerraformApply(skipTfConfirmation, outputDir, verbosity, targe
         command += ` -target="${target}" -compact-warnings`
     }
 
+    return await spawnTerraform(command, outputDir, verbosity);
+}
+
+async function runTerraformDestroy(dir, verbosity) {
+    return await spawnTerraform('terraform destroy -auto-approve', dir, verbosity);
+}
+
+// runs a terraform command that may prompt the user, streaming its output
+async function spawnTerraform(command, dir, verbosity) {
     const child = child_process.spawn(command, {
-        cwd: `${outputDir}`,
+        cwd: `${dir}`,
         stdio: ['inherit', 'pipe', 'pipe'], // to pass stdin from the parent process, and pipe the stdout and stderr
         shell: true,
         env: process.env,
@@ -501,19 +889,24 @@ async function runTerraformApply(skipTfConfirmation, outputDir, verbosity, targe
             if (code === 0) {
                 resolve(stdoutData.trim());
             } else {
-                reject(new Error(`Terraform apply failed with code ${code}`));
+                reject(new Error(`Terraform ${command.split(' ')[1]} failed with code ${code}`));
             }
         });
     });
 }
 
 async function getNumResourcesCreated(dir) {
+    return (await getStateResources(dir)).length;
+}
+
+// get addresses of all resources in the state file
+async function getStateResources(dir) {
     try {
         // prints a line for every resource in the state file
         const resourcesListStr = await execPromise('terraform state list', { cwd: dir });
-        return resourcesListStr.split('\n').length;
+        return resourcesListStr.split('\n').filter((r) => r);
     } catch {
-        return 0;
+        return [];
     }
 }
 
@@ -532,6 +925,26 @@ async function getNewToolchainId(dir) {
     }
 }
 
+// re-runs the s2s script outside of terraform, for when the toolchain already exists
+async function runS2sScript(dir, toolchainId, apiKey, timeSuffix) {
+    try {
+        await execPromise('node create-s2s-script.cjs', {
+            cwd: dir,
+            env: {
+                ...process.env,
+                IBMCLOUD_API_KEY: apiKey,
+                TARGET_TOOLCHAIN_ID: toolchainId,
+                IBMCLOUD_PLATFORM: CLOUD_PLATFORM,
+                IAM_BASE_URL: IAM_BASE_URL,
+                GENERATED_TIME: `${timeSuffix}`
+            }
+        });
+    } catch (err) {
+        // failures are written to the error log by the script
+        logger.dump(`\n[Warning] S2S script failed: ${err.message}`);
+    }
+}
+
 // fix quoted references warning for depends_on
 function replaceDependsOn(str) {
     try {
@@ -575,10 +988,14 @@ export {
     setTerraformEnv,
     initProviderFile,
     setupTerraformFiles,
+    setupExportTerraformFiles,
     runTerraformInit,
     runTerraformPlanGenerate,
     getNumResourcesPlanned,
     runTerraformApply,
     getNewToolchainId,
-    getNumResourcesCreated
+    getNumResourcesCreated,
+    getStateResources,
+    runTerraformDestroy,
+    runS2sScript
 }
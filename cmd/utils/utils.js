@@ -9,6 +9,10 @@
 
 import * as readline from 'node:readline/promises';
 import { randomInt } from 'node:crypto';
+import fs from 'node:fs';
+import { extname, resolve } from 'node:path';
+
+import { parse as parseYaml } from 'yaml';
 
 // Drain stdout before opening a readline prompt. When ora or console.log have
 // queued writes to a TTY, readline's cursor-management sequences can overwrite
@@ -31,6 +35,15 @@ export function parseEnvVar(name) {
     return value;
 };
 
+// reads a user-provided JSON or YAML (.yaml, .yml) file
+export function readDataFile(filePath) {
+    const contents = fs.readFileSync(resolve(filePath), 'utf8');
+    if (['.yaml', '.yml'].includes(extname(filePath).toLowerCase())) {
+        return parseYaml(contents);
+    }
+    return JSON.parse(contents);
+};
+
 export async function promptUserYesNo(question) {
     await drainStdout();
     const rl = readline.createInterface({
@@ -120,6 +133,31 @@ export async function promptUserInput(question, initialInput, validationFn) {
     return answer.trim();
 }
 
+// prompts for a secret value, which is not echoed nor written to the log file
+export async function promptUserSecret(question) {
+    await drainStdout();
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: true
+    });
+
+    rl.on('SIGINT', async () => {
+        logger.print('\n' + 'Received SIGINT signal');
+        await logger.close();
+        process.exit(1);
+    });
+
+    process.stdout.write(question);
+    rl._writeToOutput = () => { };  // mute the echo of the input
+    const answer = await rl.question('');
+    logger.dump(question + '<REDACTED>\n\n');
+
+    rl.close();
+    logger.print();
+    return answer.trim();
+}
+
 export async function promptUserSelection(question, choices) {
     const rl = readline.createInterface({
         input: process.stdin,
@@ -9,9 +9,10 @@
 
 import { execSync } from 'child_process';
 import { logger, LOG_STAGES } from './logger.js'
-import { RESERVED_GRIT_PROJECT_NAMES, RESERVED_GRIT_GROUP_NAMES, RESERVED_GRIT_SUBGROUP_NAME, TERRAFORM_REQUIRED_VERSION, SECRET_KEYS_MAP } from '../../config.js';
+import { RESERVED_GRIT_PROJECT_NAMES, RESERVED_GRIT_GROUP_NAMES, RESERVED_GRIT_SUBGROUP_NAME, TERRAFORM_REQUIRED_VERSION, SOURCE_REGIONS } from '../../config.js';
 import { getToolchainsByName, getToolchainTools, getPipelineData, getAppConfigHealthcheck, getSecretsHealthcheck, getGitOAuth, getGritUserProject, getGritGroupProject } from './requests.js';
-import { promptUserConfirmation, promptUserInput, isSecretReference } from './utils.js';
+import { promptUserConfirmation, promptUserInput } from './utils.js';
+import { detectSecrets } from './secrets.js';
 
 const CLOUD_PLATFORM = process.env['IBMCLOUD_PLATFORM_DOMAIN'] || 'cloud.ibm.com';
 const DEV_MODE = CLOUD_PLATFORM !== 'cloud.ibm.com';
@@ -57,6 +58,24 @@ function validateToolchainId(tcId) {
     throw Error('Provided toolchain ID is invalid');
 }
 
+// parses crn arg into toolchain ID and region
+function parseToolchainCrn(crn) {
+    // doesn't strictly check crn format
+    const pattern = /^crn:.*:.*:.*:toolchain:.*:.*:.*::$/;
+    if (typeof crn === 'string' && pattern.test(crn)) {
+        const crnParts = crn.toLowerCase().split(':');
+        if (crnParts.length === 10 && SOURCE_REGIONS.includes(crnParts[5])) {
+            try {
+                validateToolchainId(crnParts[7]);
+            } catch {
+                throw Error('Provided toolchain CRN is invalid');
+            }
+            return [crnParts[7], crnParts[5]];
+        }
+    }
+    throw Error('Provided toolchain CRN is invalid');
+}
+
 function validateToolchainName(tcName) {
     if (typeof tcName != 'string') throw Error('Provided toolchain name is not a string');
     const trimmed = tcName.trim();
@@ -137,7 +156,7 @@ async function warnDuplicateName(token, accountId, tcName, srcRegion, targetRegi
     }
 }
 
-async function validateTools(token, tcId, region, skipPrompt) {
+async function validateTools(token, tcId, region, skipPrompt, convertClassic = false) {
     const allTools = await getToolchainTools(token, tcId, region);
     const nonConfiguredTools = [];
     const toolsWithHashedParams = [];
@@ -150,40 +169,14 @@ async function validateTools(token, tcId, region, skipPrompt) {
         logger.updateSpinnerMsg(`Validating tool \'${toolName}\'`);
         const toolUrl = `https://${CLOUD_PLATFORM}/devops/toolchains/${tool.toolchain_id}/configure/${tool.id}?env_id=ibm:yp:${region}`;
 
-        if (tool.state !== 'configured') {  // Check for tools in misconfigured/unconfigured/configuring state
+        const toolState = await getToolHealth(token, tcId, tool, region);
+        if (toolState !== 'configured') {  // Check for tools in misconfigured/unconfigured/configuring/error state
             nonConfiguredTools.push({
                 tool_name: toolName,
                 type: tool.tool_type_id,
-                state: tool.state,
+                state: toolState,
                 url: toolUrl
             });
-        } else {
-            // handle health check failures, which forces an "error" state in the UI
-            if (tool.tool_type_id === 'appconfig') {
-                try {
-                    await getAppConfigHealthcheck(token, tcId, tool.id, region);
-                } catch {
-                    nonConfiguredTools.push({
-                        tool_name: toolName,
-                        type: tool.tool_type_id,
-                        state: 'error',
-                        url: toolUrl
-                    });
-                }
-            } else if (['hashicorpvault', 'secretsmanager', 'keyprotect'].includes(tool.tool_type_id)) {
-                try {
-                    // secrets healthcheck uses parameter name
-                    const paramName = tool.parameters?.name || '';
-                    await getSecretsHealthcheck(token, tcId, paramName, region);
-                } catch {
-                    nonConfiguredTools.push({
-                        tool_name: toolName,
-                        type: tool.tool_type_id,
-                        state: 'error',
-                        url: toolUrl
-                    });
-                }
-            }
         }
 
         if (tool.tool_type_id === 'hostedgit' && tool.parameters?.auth_type === 'pat') {   // Check for GRIT using PAT
@@ -214,30 +207,23 @@ async function validateTools(token, tcId, region, skipPrompt) {
             continue;
         }
         else {
-            const secrets = [];
-            if (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton') {   // Check for secrets in Tekton pipeline
-                const pipelineData = await getPipelineData(token, tool.id, region);
-
-                pipelineData.properties?.forEach((prop) => {
-                    if (prop.type === 'secure' && !isSecretReference(prop.value) && prop.value?.length > 0)
-                        secrets.push(['properties', prop.name].join('.').replace(/\s+/g, '+'));
-                });
-
-                pipelineData.triggers?.forEach((trigger) => {
-                    if ((trigger?.secret?.type === 'token_matches' || trigger?.secret?.type === 'digest_matches') && !isSecretReference(trigger.secret?.value) && trigger.secret?.value?.length > 0)
-                        secrets.push([trigger.name, trigger.secret.key_name].join('.').replace(/\s+/g, '+'));
-                    trigger.properties?.forEach((prop) => {
-                        if (prop.type === 'secure' && !isSecretReference(prop.value) && prop.value?.length > 0)
-                            secrets.push([trigger.name, 'properties', prop.name].join('.').replace(/\s+/g, '+'));
-                    });
-                });
-            }
-            else {
-                const secretsToCheck = (SECRET_KEYS_MAP[tool.tool_type_id] || []).map((entry) => entry.key);    // Check for secrets in the rest of the tools
-                Object.entries(tool.parameters).forEach(([key, value]) => {
-                    if (!isSecretReference(value) && value.length > 0 && secretsToCheck.includes(key)) secrets.push(key);
+            const pipelineData = tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton' ? await getPipelineData(token, tool.id, region) : undefined;
+
+            // only secrets in secure fields, which are hashed when read and can't be copied
+            const secrets = detectSecrets(tool, pipelineData)
+                .filter((finding) => finding.secure)
+                .map((finding) => {
+                    switch (finding.location) {
+                        case 'env':
+                            return ['properties', finding.property].join('.').replace(/\s+/g, '+');
+                        case 'trigger':
+                            return [finding.triggerName, 'properties', finding.property].join('.').replace(/\s+/g, '+');
+                        case 'webhook':
+                            return [finding.triggerName, finding.property].join('.').replace(/\s+/g, '+');
+                        default:
+                            return finding.property;
+                    }
                 });
-            }
             if (secrets.length > 0) {
                 const MAX_SECRETS_DISPLAY = 10;
                 const displaySecrets = secrets.length > MAX_SECRETS_DISPLAY
@@ -256,7 +242,11 @@ async function validateTools(token, tcId, region, skipPrompt) {
 
     if (classicPipelines.length > 0) {
         logger.failSpinner('Unsupported tools found!');
-        logger.warn('Warning! Classic pipelines are currently not supported in migration:\n', LOG_STAGES.setup, true);
+        if (convertClassic) {
+            logger.warn('Warning! The following classic pipelines will be converted to Tekton pipelines with their environment properties, their stages, jobs and triggers must be recreated:\n', LOG_STAGES.setup, true);
+        } else {
+            logger.warn('Warning! Classic pipelines are currently not supported in migration, use the --convert-classic option to convert them to Tekton pipelines:\n', LOG_STAGES.setup, true);
+        }
         logger.table(classicPipelines);
     }
 
@@ -289,6 +279,119 @@ async function validateTools(token, tcId, region, skipPrompt) {
     return allTools.tools;
 }
 
+// returns the tool state, or 'error' if the tool is configured but fails its health check
+async function getToolHealth(token, tcId, tool, region) {
+    if (tool.state !== 'configured') return tool.state;
+
+    // handle health check failures, which forces an "error" state in the UI
+    try {
+        if (tool.tool_type_id === 'appconfig') {
+            await getAppConfigHealthcheck(token, tcId, tool.id, region);
+        } else if (['hashicorpvault', 'secretsmanager', 'keyprotect'].includes(tool.tool_type_id)) {
+            // secrets healthcheck uses parameter name
+            const paramName = tool.parameters?.name || '';
+            await getSecretsHealthcheck(token, tcId, paramName, region);
+        }
+    } catch {
+        return 'error';
+    }
+    return 'configured';
+}
+
+// counts the definitions and triggers of each Tekton pipeline, by pipeline name
+async function getPipelineCounts(token, tools, region) {
+    const counts = {};
+    for (const tool of tools) {
+        if (tool.tool_type_id === 'pipeline' && tool.parameters?.type === 'tekton') {
+            const pipelineData = await getPipelineData(token, tool.id, region);
+            counts[tool.name || tool.parameters?.name] = {
+                definitions: pipelineData.definitions?.length ?? 0,
+                triggers: pipelineData.triggers?.length ?? 0
+            };
+        }
+    }
+    return counts;
+}
+
+// checks the health of every tool in a copied toolchain, and that its Tekton pipelines
+// have as many definitions and triggers as the original, then prints a per-tool report,
+// srcToken is used to read the original toolchain when it is in another account
+async function verifyTools(token, tcId, region, srcTcId, srcRegion, srcToken = token) {
+    const allTools = await getToolchainTools(token, tcId, region);
+    const srcTools = await getToolchainTools(srcToken, srcTcId, srcRegion);
+    const srcCounts = await getPipelineCounts(srcToken, srcTools.tools, srcRegion);
+    const counts = await getPipelineCounts(token, allTools.tools, region);
+    const report = [];
+
+    for (const tool of allTools.tools) {
+        const toolName = (tool.name || tool.parameters?.name || tool.parameters?.label || '').replace(/\s+/g, '+');
+        logger.updateSpinnerMsg(`Verifying tool \'${toolName}\'`);
+        const toolUrl = `https://${CLOUD_PLATFORM}/devops/toolchains/${tool.toolchain_id}/configure/${tool.id}?env_id=ibm:yp:${region}`;
+
+        const toolState = await getToolHealth(token, tcId, tool, region);
+        let passed = toolState === 'configured';
+        let definitions = '';
+        let triggers = '';
+
+        const pipelineCounts = counts[tool.name || tool.parameters?.name];
+        if (tool.tool_type_id === 'pipeline' && pipelineCounts) {
+            const expected = srcCounts[tool.name || tool.parameters?.name];
+            definitions = `${pipelineCounts.definitions} / ${expected?.definitions ?? '?'}`;
+            triggers = `${pipelineCounts.triggers} / ${expected?.triggers ?? '?'}`;
+            passed &&= !!expected && pipelineCounts.definitions === expected.definitions && pipelineCounts.triggers === expected.triggers;
+        }
+
+        report.push({
+            tool_name: toolName,
+            type: tool.tool_type_id,
+            state: toolState,
+            definitions: definitions,
+            triggers: triggers,
+            result: passed ? 'pass' : 'fail',
+            url: toolUrl
+        });
+    }
+
+    const numFailed = report.filter((r) => r.result === 'fail').length;
+    if (numFailed > 0) {
+        logger.failSpinner(`${numFailed} tool(s) failed verification!`);
+        logger.resetSpinner();    // Manually reset spinner to prevent duplicate spinners
+    }
+
+    logger.table(report);
+    if (numFailed > 0) {
+        logger.warn('Warning! The tool(s) that failed verification need to be reconfigured manually, open the url of each tool to reconfigure it.', LOG_STAGES.info, true);
+    }
+    return report;
+}
+
+// tool integrations for service instances in the source account, which are not copied to the target account
+async function validateCrossAccountTools(tools, region, skipPrompt) {
+    const instanceTools = [];
+
+    for (const tool of tools) {
+        if (!['appconfig', 'eventnotifications', 'keyprotect', 'secretsmanager'].includes(tool.tool_type_id)) continue;
+
+        const toolName = (tool.name || tool.parameters?.name || tool.parameters?.label || '').replace(/\s+/g, '+');
+        const crn = tool.parameters?.['instance-crn'];
+        instanceTools.push({
+            tool_name: toolName,
+            type: tool.tool_type_id,
+            instance: crn || `${tool.parameters?.['instance-name'] ?? ''} (by name)`,
+            url: `https://${CLOUD_PLATFORM}/devops/toolchains/${tool.toolchain_id}/configure/${tool.id}?env_id=ibm:yp:${region}`
+        });
+    }
+
+    if (instanceTools.length > 0) {
+        logger.warn('Warning! The following tool integration(s) use service instances in the source account, and will not work in the target account until they are reconfigured with instances in the target account. Instances selected by name must exist in the target account with the same name: \n', LOG_STAGES.setup, true);
+        logger.table(instanceTools);
+
+        if (!skipPrompt) {
+            await promptUserConfirmation('Caution: The above tool(s) will not be properly configured post migration. Do you want to proceed?', 'yes', 'Toolchain migration cancelled.');
+        }
+    }
+}
+
 async function validateOAuth(token, tools, targetRegion, skipPrompt) {
     let gitTools = [];
 
@@ -476,9 +579,12 @@ async function validateGritUrl(token, region, url, validateFull) {
 export {
     validatePrereqsVersions,
     validateToolchainId,
+    parseToolchainCrn,
     validateToolchainName,
     validateTag,
     validateTools,
+    verifyTools,
+    validateCrossAccountTools,
     validateOAuth,
     validateGritUrl,
     warnDuplicateName
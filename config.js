@@ -15,10 +15,102 @@ Examples:
       Copy a toolchain to the Dallas region with the same name, in the same resource group.
   npx @ibm-cloud/cd-tools copy-toolchain -c \${TOOLCHAIN_CRN} -r eu-de -n new-toolchain-name -g new-resource-group --apikey \${APIKEY}
       Copy a toolchain to the Frankfurt region with the specified name and target resource group, using the given API key
+  npx @ibm-cloud/cd-tools copy-toolchain -m toolchains.yaml -f
+      Copy every toolchain listed in the manifest file toolchains.yaml, without user confirmation
+  npx @ibm-cloud/cd-tools copy-toolchain -c \${TOOLCHAIN_CRN} -r us-south -g target-resource-group --target-apikey \${TARGET_APIKEY}
+      Copy a toolchain to the resource group of another account, using an API key for that account
+
+Environment Variables:
+  IBMCLOUD_API_KEY                       API key used to authenticate. Must be a user API key, with IAM permission to read and create toolchains and service-to-service authorizations in source and target region / resource group
+  IBMCLOUD_TARGET_API_KEY                API key used to create the copied toolchain in a different account, instead of --target-apikey`;
+
+const COPY_REGION_DESC = `Copies all toolchains in a region to another region, optionally filtered by resource group or tag.
+Progress is recorded in a file, re-running the command with the same progress file resumes where a previous run left off.
+
+Examples:
+  export IBMCLOUD_API_KEY='...'
+  npx @ibm-cloud/cd-tools copy-region -s eu-de -r us-south
+      Copy all toolchains in the Frankfurt region to the Dallas region.
+  npx @ibm-cloud/cd-tools copy-region -s eu-de -r eu-es --source-resource-group my-resource-group -f
+      Copy all toolchains in the resource group my-resource-group from the Frankfurt region to the Madrid region, without user confirmation.
 
 Environment Variables:
   IBMCLOUD_API_KEY                       API key used to authenticate. Must be a user API key, with IAM permission to read and create toolchains and service-to-service authorizations in source and target region / resource group`;
 
+const DIFF_TOOLCHAIN_DESC = `Compares a toolchain with another toolchain, such as a copy made with copy-toolchain, and reports configuration drift in tool integrations and Tekton pipelines.
+Differences expected from copying are ignored: IDs, regions, GRIT URLs, disabled triggers and the "Copied from" description.
+Exits with code 2 if any differences are found.
+
+Examples:
+  export IBMCLOUD_API_KEY='...'
+  npx @ibm-cloud/cd-tools diff-toolchain -s \${TOOLCHAIN_CRN} -d \${COPIED_TOOLCHAIN_CRN}
+      Compare a toolchain with its copy, printing a table of differences.
+  npx @ibm-cloud/cd-tools diff-toolchain -s \${TOOLCHAIN_CRN} -d \${COPIED_TOOLCHAIN_CRN} -o json > diff.json
+      Compare a toolchain with its copy, writing the differences as JSON.
+
+Environment Variables:
+  IBMCLOUD_API_KEY                       API key used to authenticate. Must have IAM permission to read both toolchains`;
+
+const ENABLE_TRIGGERS_DESC = `Enables the Tekton pipeline triggers of a copied toolchain that were disabled by copy-toolchain, i.e. the Git, timed and generic triggers that are enabled in the source toolchain.
+Optionally disables the same triggers in the source toolchain, to switch over from the source toolchain to the copy.
+
+Examples:
+  export IBMCLOUD_API_KEY='...'
+  npx @ibm-cloud/cd-tools enable-triggers -c \${COPIED_TOOLCHAIN_CRN}
+      Enable the triggers of a copied toolchain.
+  npx @ibm-cloud/cd-tools enable-triggers -c \${COPIED_TOOLCHAIN_CRN} --disable-source
+      Enable the triggers of a copied toolchain, and disable them in the toolchain it was copied from.
+
+Environment Variables:
+  IBMCLOUD_API_KEY                       API key used to authenticate. Must be a user API key, with IAM permission to edit the copied toolchain, and the source toolchain when disabling its triggers`;
+
+const EXPORT_TERRAFORM_DESC = `Exports an existing toolchain, including tool integrations and Tekton pipelines, as Terraform (.tf) files, without copying it.
+The generated files include an import block for each resource, so that the existing toolchain can be managed with Terraform in place.
+Exporting the same toolchain again generates the same resource names.
+
+Examples:
+  export IBMCLOUD_API_KEY='...'
+  npx @ibm-cloud/cd-tools export-terraform -c \${TOOLCHAIN_CRN} -d ./my-toolchain
+      Export a toolchain to the ./my-toolchain directory. Running 'terraform plan' in the directory should only show resources to be imported.
+
+Environment Variables:
+  IBMCLOUD_API_KEY                       API key used to authenticate. Must be a user API key, with IAM permission to read the toolchain`;
+
+const ROTATE_SECRET_DESC = `Rotates a secret used by the tool integrations and Tekton pipelines of many toolchains at once.
+Finds every tool parameter, pipeline property and trigger property set to a stored secret value, or to a secret reference, in one toolchain or all the toolchains of the account.
+Stored values are replaced with the new value, or with a secret reference. With a Secrets Manager secret reference, a new version of the secret is created instead, which every reference uses.
+Toolchains that cannot be updated with the API key are skipped.
+
+Examples:
+  export IBMCLOUD_API_KEY='...'
+  npx @ibm-cloud/cd-tools rotate-secret -r us-south
+      Prompt for the current and the new value of a secret, and replace it in all toolchains in the Dallas region.
+  npx @ibm-cloud/cd-tools rotate-secret --new-reference \${SECRET_CRN}
+      Prompt for the current value of a secret, and replace it with a reference to a Secrets Manager secret in all toolchains.
+  npx @ibm-cloud/cd-tools rotate-secret --reference \${SECRET_CRN} -f
+      Prompt for the new value of a Secrets Manager secret, and create a new version of the secret, without user confirmation.
+
+Environment Variables:
+  IBMCLOUD_API_KEY                       API key used to authenticate. Must be a user API key, with IAM permission to read and edit the toolchains, and to create secret versions in Secrets Manager
+  OLD_SECRET_VALUE                       The current value of the secret, instead of prompting for it
+  NEW_SECRET_VALUE                       The new value of the secret, instead of prompting for it`;
+
+const CONVERT_CLASSIC_PIPELINE_DESC = `Converts a classic pipeline to a Tekton pipeline in the same toolchain, without changing the classic pipeline.
+The stages, jobs, inputs and triggers of the classic pipeline are converted to Tekton definitions in a '.tekton' directory, with a pipeline, tasks and trigger templates, to commit to a repository.
+The stage properties become Tekton pipeline properties. The parts of the classic pipeline that could not be converted are listed in a report.
+The Tekton pipeline is created with Terraform, using the generated Terraform (.tf) files.
+
+Examples:
+  export IBMCLOUD_API_KEY='...'
+  npx @ibm-cloud/cd-tools convert-classic-pipeline -c \${TOOLCHAIN_CRN} -p my-pipeline -D
+      Generate the Tekton definitions and Terraform files of the classic pipeline "my-pipeline", without creating the Tekton pipeline.
+  npx @ibm-cloud/cd-tools convert-classic-pipeline -c \${TOOLCHAIN_CRN} -p my-pipeline -n my-tekton-pipeline --repo-url \${REPO_URL} --branch main
+      Create the Tekton pipeline "my-tekton-pipeline", with the definitions committed to the main branch of a repository.
+
+Environment Variables:
+  IBMCLOUD_API_KEY                       API key used to authenticate. Must be a user API key, with IAM permission to read and edit the toolchain
+  IBMCLOUD_CLASSIC_PIPELINE_ENDPOINT     The endpoint used to read the classic pipeline stages`;
+
 const COPY_PROJECT_GROUP_DESC = `Copies all Git Repos and Issue Tracking projects in a group to another region.
 
 Examples:
@@ -187,9 +279,9 @@ const SECRET_KEYS_MAP = {
 	'nexus': [
 		{ key: 'token', tfKey: 'token' },
 	],
-	// 'pagerduty': [
-	// 	{ key: 'service_key', tfKey: 'service_key', required: true },
-	// ],
+	'pagerduty': [
+		{ key: 'service_key', tfKey: 'service_key', required: true },
+	],
 	'private_worker': [
 		{ key: 'workerQueueCredentials', tfKey: 'worker_queue_credentials', required: true },
 	],
@@ -225,7 +317,7 @@ const SUPPORTED_TOOLS_MAP = {
 	'keyprotect': 'ibm_cd_toolchain_tool_keyprotect',
 	'nexus': 'ibm_cd_toolchain_tool_nexus',
 	'customtool': 'ibm_cd_toolchain_tool_custom',
-	// 'pagerduty': 'ibm_cd_toolchain_tool_pagerduty',
+	'pagerduty': 'ibm_cd_toolchain_tool_pagerduty',
 	'saucelabs': 'ibm_cd_toolchain_tool_saucelabs',
 	'secretsmanager': 'ibm_cd_toolchain_tool_secretsmanager',
 	'security_compliance': 'ibm_cd_toolchain_tool_securitycompliance',
@@ -242,6 +334,12 @@ const VAULT_REGEX = [
 
 export {
 	COPY_TOOLCHAIN_DESC,
+	COPY_REGION_DESC,
+	DIFF_TOOLCHAIN_DESC,
+	ENABLE_TRIGGERS_DESC,
+	EXPORT_TERRAFORM_DESC,
+	ROTATE_SECRET_DESC,
+	CONVERT_CLASSIC_PIPELINE_DESC,
 	COPY_PROJECT_GROUP_DESC,
 	DOCS_URL,
 	SOURCE_REGIONS,
@@ -16,7 +16,8 @@ import { logger } from './cmd/utils/logger.js';
 import packageJson from './package.json' with { type: "json" };
 
 process.on('exit', (code) => {
-    if (code !== 0) logger.print(`Need help? Visit ${DOCS_URL} for more troubleshooting information.`);
+    // other non-zero codes are results, e.g. differences found by diff-toolchain
+    if (code === 1) logger.print(`Need help? Visit ${DOCS_URL} for more troubleshooting information.`);
 });
 
 program
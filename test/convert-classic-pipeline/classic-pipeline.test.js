@@ -0,0 +1,115 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import { expect } from 'chai';
+import { parseAllDocuments } from 'yaml';
+
+import { convertClassicPipelineDefinition } from '../../cmd/utils/classic-pipeline.js';
+import { tektonPipelineResources } from '../../cmd/utils/import-terraform.js';
+
+const COMMAND = 'convert-classic-pipeline';
+
+const REPO_URL = 'https://us-south.git.cloud.ibm.com/fake-user/fake-repo';
+
+const STAGES = [
+    {
+        name: 'Build',
+        inputs: [{ type: 'git', url: REPO_URL, branch: 'main' }],
+        triggers: [{ type: 'commit' }],
+        properties: [
+            { name: 'APP_NAME', value: 'hello', type: 'text' },
+            { name: 'API_KEY', value: 'hash:SHA3-512:abc', type: 'secure' }
+        ],
+        jobs: [
+            { name: 'Build', type: 'builder', build_type: 'shell', script: 'npm ci' },
+            { name: 'Build', type: 'tester', script: 'npm test' }
+        ]
+    },
+    {
+        name: 'Deploy',
+        inputs: [{ type: 'job', stage: 'Build', job: 'Build' }],
+        triggers: [{ type: 'stage', enabled: false }],
+        properties: [{ name: 'APP_NAME', value: 'other', type: 'text' }],
+        jobs: [
+            { name: 'Deploy', type: 'deployer', target: { region_id: 'us-south' }, script: '#!/bin/sh\necho deploy', docker_image: 'alpine' },
+            { name: 'Wait', type: 'wait' }
+        ]
+    }
+];
+
+const parseYaml = (contents) => parseAllDocuments(contents).map((doc) => doc.toJS());
+
+describe('convert-classic-pipeline: Test classic pipeline conversion', function () {
+    this.command = COMMAND;
+
+    const { properties, files, repository, triggers, untranslated } = convertClassicPipelineDefinition(structuredClone(STAGES));
+    const [pipeline] = parseYaml(files['.tekton/pipeline.yaml']);
+    const tasks = parseYaml(files['.tekton/tasks.yaml']);
+
+    it('Generates the pipeline, tasks and listener definitions', () => {
+        expect(Object.keys(files)).to.have.members(['.tekton/pipeline.yaml', '.tekton/tasks.yaml', '.tekton/listener.yaml']);
+        expect(parseYaml(files['.tekton/listener.yaml']).map((r) => r.kind)).to.deep.equal(['TriggerTemplate', 'TriggerBinding', 'EventListener']);
+    });
+
+    it('Runs the tasks in the order of the stages and jobs, after cloning the repository', () => {
+        const names = pipeline.spec.tasks.map((t) => t.name);
+        expect(names).to.deep.equal(['clone-repo', 'build-build', 'build-build-2', 'deploy-deploy']);
+        pipeline.spec.tasks.slice(1).forEach((task, i) => expect(task.runAfter).to.deep.equal([names[i]]));
+        expect(tasks.map((t) => t.metadata.name)).to.deep.equal(names);
+    });
+
+    it('De-duplicates task names of jobs with the same name', () => {
+        expect(new Set(tasks.map((t) => t.metadata.name)).size).to.equal(tasks.length);
+    });
+
+    it('Adds the repository, branch and git-token properties of the first git input', () => {
+        expect(repository).to.deep.equal({ url: REPO_URL, branch: 'main' });
+        expect(properties.map((p) => p.name)).to.deep.equal(['repository', 'branch', 'APP_NAME', 'API_KEY', 'git-token']);
+        expect(properties.find((p) => p.name === 'git-token')).to.deep.include({ type: 'secure', value: '<git-token>' });
+        expect(untranslated).to.deep.include({ stage: 'Build', item: 'property git-token', reason: `the git-token property must be set to a token with read access to ${REPO_URL}, used by the clone-repo task` });
+    });
+
+    it('Keeps the first value of a property defined by multiple stages', () => {
+        expect(properties.find((p) => p.name === 'APP_NAME').value).to.equal('hello');
+        expect(untranslated.map((u) => u.item)).to.include('property APP_NAME');
+    });
+
+    it('Replaces stored secure property values with a placeholder', () => {
+        expect(properties.find((p) => p.name === 'API_KEY')).to.deep.include({ type: 'secure', value: '<API_KEY>' });
+    });
+
+    it('Maps the commit trigger of the first stage to a Git trigger', () => {
+        expect(triggers.map((t) => [t.name, t.type])).to.deep.equal([['manual-run', 'manual'], ['git-commit', 'scm']]);
+        expect(triggers[1].repository).to.deep.equal(repository);
+    });
+
+    it('Reports manual stages, deploy targets and jobs without a Tekton equivalent', () => {
+        const items = untranslated.map((u) => `${u.stage}: ${u.item}`);
+        expect(items).to.include.members(['Deploy: trigger stage', 'Deploy: job Deploy', 'Deploy: job Wait']);
+    });
+
+    it('Does not clone or add Git triggers without a git input', () => {
+        const stages = [{ name: 'Build', triggers: [{ type: 'commit' }], jobs: [{ name: 'Build', type: 'builder', script: 'make' }] }];
+        const result = convertClassicPipelineDefinition(stages);
+        expect(result.repository).to.equal(undefined);
+        expect(result.triggers.map((t) => t.type)).to.deep.equal(['manual']);
+        expect(result.properties).to.deep.equal([]);
+        expect(parseYaml(result.files['.tekton/tasks.yaml']).map((t) => t.metadata.name)).to.deep.equal(['build-build']);
+    });
+
+    it('Generates unique Terraform resource names for properties with the same normalized name', () => {
+        const resources = tektonPipelineResources('pipeline', [
+            { name: 'API-KEY', type: 'text', value: 'a' },
+            { name: 'API_KEY', type: 'text', value: 'b' }
+        ]);
+        const props = resources['ibm_cd_tekton_pipeline_property'];
+        expect(Object.keys(props)).to.have.lengthOf(2);
+        expect(Object.values(props).map((p) => p.name)).to.have.members(['API-KEY', 'API_KEY']);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import path from 'node:path';
+import nconf from 'nconf';
+
+import mocks from '../data/mocks.js';
+import { assertExecError } from '../utils/testUtils.js';
+import { TEST_TOOLCHAINS } from '../data/test-toolchains.js';
+
+nconf.env('__');
+nconf.file('local', 'test/config/local.json');
+
+const VERBOSE_MODE = nconf.get('VERBOSE_MODE');
+
+const CLI_PATH = path.resolve('index.js');
+const COMMAND = 'convert-classic-pipeline';
+
+
+describe('convert-classic-pipeline: Test user input handling', function () {
+    this.timeout('120s');
+    this.command = COMMAND;
+
+    const validCrn = TEST_TOOLCHAINS['empty'].crn;
+    const invalidArgsCases = [
+        {
+            name: 'Toolchain CRN not specified',
+            cmd: [CLI_PATH, COMMAND, '-p', 'pipeline'],
+            expected: /required option '-c, --toolchain-crn <crn>' not specified/,
+        },
+        {
+            name: 'Classic pipeline not specified',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn],
+            expected: /required option '-p, --pipeline <pipeline>' not specified/,
+        },
+        {
+            name: 'Invalid CRN is provided',
+            cmd: [CLI_PATH, COMMAND, '-c', mocks.invalidCrn, '-p', 'pipeline', '-D'],
+            expected: /Provided toolchain CRN is invalid/,
+        },
+        {
+            name: 'API Key is not specified',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-p', 'pipeline', '-D'],
+            expected: /Environment variable 'IBMCLOUD_API_KEY' is required but not set/,
+            options: { env: { ...process.env, IBMCLOUD_API_KEY: '' } }
+        }
+    ];
+
+    for (const { name, cmd, expected, options, assertionFn } of invalidArgsCases) {
+        if (VERBOSE_MODE) cmd.push('-v');
+        it(`Invalid args: ${name}`, async () => {
+            await assertExecError(cmd, expected, options, assertionFn);
+        });
+    }
+});
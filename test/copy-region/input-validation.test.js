@@ -0,0 +1,108 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import path from 'node:path';
+import nconf from 'nconf';
+import fs from 'node:fs';
+
+import { expect } from 'chai';
+
+import mocks from '../data/mocks.js';
+import { assertExecError, execCommand } from '../utils/testUtils.js';
+import { SOURCE_REGIONS, TARGET_REGIONS } from '../../config.js';
+
+nconf.env('__');
+nconf.file('local', 'test/config/local.json');
+
+const VERBOSE_MODE = nconf.get('VERBOSE_MODE');
+const TEMP_DIR = nconf.get('TEST_TEMP_DIR');
+
+const CLI_PATH = path.resolve('index.js');
+const COMMAND = 'copy-region';
+
+
+describe('copy-region: Test user input handling', function () {
+    this.timeout('120s');
+    this.command = COMMAND;
+
+    const sourceRegion = SOURCE_REGIONS[0];
+    const targetRegion = TARGET_REGIONS[1];
+    const invalidArgsCases = [
+        {
+            name: 'Source region not specified',
+            cmd: [CLI_PATH, COMMAND, '-r', targetRegion],
+            expected: /required option '-s, --source-region <region>' not specified/,
+        },
+        {
+            name: 'Region not specified',
+            cmd: [CLI_PATH, COMMAND, '-s', sourceRegion],
+            expected: /required option '-r, --region <region>' not specified/,
+        },
+        {
+            name: 'Invalid source region is provided',
+            cmd: [CLI_PATH, COMMAND, '-s', mocks.invalidRegion, '-r', targetRegion],
+            expected: new RegExp(`option '-s, --source-region <region>' argument '${mocks.invalidRegion}' is invalid`)
+        },
+        {
+            name: 'Invalid region is provided',
+            cmd: [CLI_PATH, COMMAND, '-s', sourceRegion, '-r', mocks.invalidRegion],
+            expected: new RegExp(`option '-r, --region <region>' argument '${mocks.invalidRegion}' is invalid`)
+        },
+        {
+            name: 'Same source and destination regions are provided',
+            cmd: [CLI_PATH, COMMAND, '-s', sourceRegion, '-r', sourceRegion],
+            expected: /The source and destination regions must be different/
+        },
+        {
+            name: 'API Key is not specified',
+            cmd: [CLI_PATH, COMMAND, '-s', sourceRegion, '-r', targetRegion],
+            expected: /Environment variable 'IBMCLOUD_API_KEY' is required but not set/,
+            options: { env: { ...process.env, IBMCLOUD_API_KEY: '' } }
+        },
+        {
+            name: 'Invalid Toolchain tag is provided',
+            cmd: [CLI_PATH, COMMAND, '-s', sourceRegion, '-r', targetRegion, '-t', mocks.invalidTag],
+            expected: /Provided tag is invalid/,
+        },
+        {
+            name: 'Invalid source Toolchain tag is provided',
+            cmd: [CLI_PATH, COMMAND, '-s', sourceRegion, '-r', targetRegion, '--source-tag', mocks.invalidTag],
+            expected: /Provided tag is invalid/,
+        }
+    ];
+
+    for (const { name, cmd, expected, options, assertionFn } of invalidArgsCases) {
+        if (VERBOSE_MODE) cmd.push('-v');
+        it(`Invalid args: ${name}`, async () => {
+            await assertExecError(cmd, expected, options, assertionFn);
+        });
+    }
+
+    it('Progress file for other regions provided', async () => {
+        const progressTestDir = path.resolve(TEMP_DIR, 'progress-file-for-other-regions-provided');
+        const progressFileName = 'copy-region-progress.json';
+
+        if (!fs.existsSync(progressTestDir)) fs.mkdirSync(progressTestDir, { recursive: true });
+        fs.writeFileSync(path.resolve(progressTestDir, progressFileName), JSON.stringify({ source_region: targetRegion, target_region: sourceRegion, toolchains: {} }, null, 2));
+
+        const cmd = [CLI_PATH, COMMAND, '-s', sourceRegion, '-r', targetRegion, '-p', progressFileName];
+        if (VERBOSE_MODE) cmd.push('-v');
+
+        await assertExecError(
+            cmd,
+            new RegExp(`is for copying from ${targetRegion} to ${sourceRegion}, please specify a different progress file`),
+            { cwd: progressTestDir }
+        );
+    });
+
+    it('Exits with code 1 when the input is invalid', async () => {
+        const err = await execCommand([CLI_PATH, COMMAND, '-s', sourceRegion, '-r', sourceRegion]).then(() => null, (e) => e);
+        expect(err?.code).to.equal(1);
+    });
+});
@@ -14,7 +14,7 @@ import fs from 'node:fs';
 import { expect } from 'chai';
 
 import mocks from '../data/mocks.js';
-import { assertExecError, assertPtyOutput } from '../utils/testUtils.js';
+import { assertExecError, assertPtyOutput, execCommand } from '../utils/testUtils.js';
 import { TEST_TOOLCHAINS } from '../data/test-toolchains.js';
 import { TARGET_REGIONS } from '../../config.js';
 
@@ -90,6 +90,26 @@ describe('copy-toolchain: Test user input handling', function () {
             name: 'Non-existent GRIT mapping file provided',
             cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-r', TARGET_REGIONS[0], '-G', 'non-existent.json'],
             expected: /ENOENT: no such file or directory/
+        },
+        {
+            name: 'Toolchain CRN provided with manifest file',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-m', 'toolchains.yaml'],
+            expected: /options '-c, --toolchain-crn <crn>' and '-n, --name <name>' cannot be used with '-m, --manifest <path>'/
+        },
+        {
+            name: 'Non-existent manifest file provided',
+            cmd: [CLI_PATH, COMMAND, '-m', 'non-existent.yaml'],
+            expected: /Could not read manifest file 'non-existent.yaml'/
+        },
+        {
+            name: 'Toolchain CRN provided when resuming a copy',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '--resume', 'output-1764102115772'],
+            expected: /option '--resume <output-dir>' cannot be used with option '-c, --toolchain-crn <crn>'/
+        },
+        {
+            name: 'Rollback on failure provided with dry run',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-r', TARGET_REGIONS[0], '-D', '--rollback-on-failure'],
+            expected: /option '--rollback-on-failure' cannot be used with option '-D, --dry-run'/
         }
     ];
 
@@ -122,6 +142,26 @@ describe('copy-toolchain: Test user input handling', function () {
         );
     });
 
+    it('Target API key is redacted in the log file', async () => {
+        const logTestDir = path.resolve(TEMP_DIR, 'target-api-key-is-redacted-in-the-log-file');
+        const targetApiKey = 'not-a-real-target-apikey';
+
+        if (fs.existsSync(logTestDir)) fs.rmSync(logTestDir, { recursive: true });
+        fs.mkdirSync(logTestDir, { recursive: true });
+
+        const cmd = [CLI_PATH, COMMAND, '-c', mocks.invalidCrn, '-r', TARGET_REGIONS[0], '--target-apikey', targetApiKey];
+        // the options are written to the log file before they are validated, so the command failing is expected
+        await execCommand(cmd, { cwd: logTestDir, env: { ...process.env, LOG_DUMP: 'true' } }).catch(() => {});
+
+        const logFiles = fs.readdirSync(path.resolve(logTestDir, '.logs')).filter((f) => f.startsWith(`${COMMAND}-`));
+        expect(logFiles).to.not.be.empty;
+        for (const logFile of logFiles) {
+            const log = fs.readFileSync(path.resolve(logTestDir, '.logs', logFile), 'utf8');
+            expect(log).to.match(/"targetApikey":"<API KEY>"/);
+            expect(log).to.not.include(targetApiKey);
+        }
+    });
+
     const invalidUserInputCases = [
         {
             name: 'Invalid Toolchain tag is provided',
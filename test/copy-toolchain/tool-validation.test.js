@@ -72,6 +72,31 @@ describe('copy-toolchain: Test tool validation', function () {
                 timeout: 30000
             }
         },
+        {
+            name: 'Classic pipelines to convert are identified',
+            cmd: [CLI_PATH, COMMAND, '-c', TEST_TOOLCHAINS['misconfigured'].crn, '-r', TARGET_REGIONS[10], '--convert-classic'],
+            expected: /Warning! The following classic pipelines will be converted to Tekton pipelines/,
+            options: {
+                exitCondition: 'Caution: The above tool(s) will not be properly configured post migration. Do you want to proceed?',
+                questionAnswerMap: {
+                    '(Recommended) Add a tag to the cloned toolchain (Ctrl-C to abort):': '',
+                },
+                timeout: 30000
+            }
+        },
+        {
+            name: 'DevOps Insights tool to recreate without its data is identified',
+            cmd: [CLI_PATH, COMMAND, '-c', TEST_TOOLCHAINS['devsecops-grit-ci'].crn, '-r', TARGET_REGIONS[10]],
+            expected: /Warning! The DevOps Insights tool integration will be recreated without its data, use the --copy-insights option/,
+            options: {
+                exitCondition: 'Validating Git OAuth in target region...',
+                questionAnswerMap: {
+                    '(Recommended) Add a tag to the cloned toolchain (Ctrl-C to abort):': '',
+                    'Caution: The above tool(s) will not be properly configured post migration. Do you want to proceed?': 'yes'
+                },
+                timeout: 30000
+            }
+        },
         {
             name: 'Git tools using PAT are identified',
             cmd: [CLI_PATH, COMMAND, '-c', TEST_TOOLCHAINS['misconfigured'].crn, '-r', TARGET_REGIONS[10]],
@@ -92,6 +117,22 @@ describe('copy-toolchain: Test tool validation', function () {
                 expect(output).to.match(/gitlab[\s\S]*?api_token/);
             }
         },
+        {
+            name: 'PagerDuty tool with plain text service key identified',
+            cmd: [CLI_PATH, COMMAND, '-c', TEST_TOOLCHAINS['misconfigured'].crn, '-r', TARGET_REGIONS[10]],
+            expected: null,
+            options: {
+                exitCondition: 'Caution: The above tool(s) will not be properly configured post migration. Do you want to proceed?',
+                questionAnswerMap: {
+                    '(Recommended) Add a tag to the cloned toolchain (Ctrl-C to abort):': '',
+                },
+                timeout: 30000
+            },
+            assertionFunc: (output) => {
+                expect(output).to.match(/Warning! The following tools contain secrets that cannot be migrated/);
+                expect(output).to.match(/pagerduty[\s\S]*?service_key/);
+            }
+        },
     ];
 
     for (const { name, cmd, expected, options, assertionFunc } of testCases) {
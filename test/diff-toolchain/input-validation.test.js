@@ -0,0 +1,95 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import path from 'node:path';
+import nconf from 'nconf';
+
+import { expect } from 'chai';
+
+import mocks from '../data/mocks.js';
+import { assertExecError, execCommand } from '../utils/testUtils.js';
+import { TEST_TOOLCHAINS } from '../data/test-toolchains.js';
+
+nconf.env('__');
+nconf.file('local', 'test/config/local.json');
+
+const VERBOSE_MODE = nconf.get('VERBOSE_MODE');
+
+const CLI_PATH = path.resolve('index.js');
+const COMMAND = 'diff-toolchain';
+
+
+describe('diff-toolchain: Test user input handling', function () {
+    this.timeout('120s');
+    this.command = COMMAND;
+
+    const srcCrn = TEST_TOOLCHAINS['empty'].crn;
+    const destCrn = TEST_TOOLCHAINS['single-pl'].crn;
+    const invalidArgsCases = [
+        {
+            name: 'Source CRN not specified',
+            cmd: [CLI_PATH, COMMAND, '-d', destCrn],
+            expected: /required option '-s, --source-crn <crn>' not specified/,
+        },
+        {
+            name: 'Destination CRN not specified',
+            cmd: [CLI_PATH, COMMAND, '-s', srcCrn],
+            expected: /required option '-d, --dest-crn <crn>' not specified/,
+        },
+        {
+            name: 'Invalid output format is provided',
+            cmd: [CLI_PATH, COMMAND, '-s', srcCrn, '-d', destCrn, '-o', 'yaml'],
+            expected: /option '-o, --output <format>' argument 'yaml' is invalid/
+        },
+        {
+            name: 'Invalid source CRN is provided',
+            cmd: [CLI_PATH, COMMAND, '-s', mocks.invalidCrn, '-d', destCrn],
+            expected: /Provided toolchain CRN is invalid/,
+        },
+        {
+            name: 'Invalid destination CRN is provided',
+            cmd: [CLI_PATH, COMMAND, '-s', srcCrn, '-d', mocks.invalidCrn],
+            expected: /Provided toolchain CRN is invalid/,
+        },
+        {
+            name: 'Non-existent GRIT mapping file provided',
+            cmd: [CLI_PATH, COMMAND, '-s', srcCrn, '-d', destCrn, '-G', 'non-existent.json'],
+            expected: /ENOENT: no such file or directory/
+        },
+        {
+            name: 'API Key is not specified',
+            cmd: [CLI_PATH, COMMAND, '-s', srcCrn, '-d', destCrn],
+            expected: /Environment variable 'IBMCLOUD_API_KEY' is required but not set/,
+            options: { env: { ...process.env, IBMCLOUD_API_KEY: '' } }
+        }
+    ];
+
+    for (const { name, cmd, expected, options, assertionFn } of invalidArgsCases) {
+        if (VERBOSE_MODE) cmd.push('-v');
+        it(`Invalid args: ${name}`, async () => {
+            await assertExecError(cmd, expected, options, assertionFn);
+        });
+    }
+
+    it('Exits with code 1 when the input is invalid', async () => {
+        const err = await execCommand([CLI_PATH, COMMAND, '-s', mocks.invalidCrn, '-d', destCrn]).then(() => null, (e) => e);
+        expect(err?.code).to.equal(1);
+    });
+
+    it('Exits with code 0 when the toolchains do not differ', async () => {
+        const output = await execCommand([CLI_PATH, COMMAND, '-s', srcCrn, '-d', srcCrn]);
+        expect(output).to.match(/No differences found between the toolchains/);
+    });
+
+    it('Exits with code 2 when the toolchains differ', async () => {
+        const err = await execCommand([CLI_PATH, COMMAND, '-s', srcCrn, '-d', destCrn, '-o', 'json']).then(() => null, (e) => e);
+        expect(err?.code).to.equal(2);
+        expect(JSON.parse(err.stdout).differences).to.not.be.empty;
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import path from 'node:path';
+import nconf from 'nconf';
+
+import { expect } from 'chai';
+
+import mocks from '../data/mocks.js';
+import { assertExecError, execCommand } from '../utils/testUtils.js';
+import { TEST_TOOLCHAINS } from '../data/test-toolchains.js';
+
+nconf.env('__');
+nconf.file('local', 'test/config/local.json');
+
+const VERBOSE_MODE = nconf.get('VERBOSE_MODE');
+
+const CLI_PATH = path.resolve('index.js');
+const COMMAND = 'export-secrets';
+
+
+describe('export-secrets: Test user input handling', function () {
+    this.timeout('120s');
+    this.command = COMMAND;
+
+    const validCrn = TEST_TOOLCHAINS['empty'].crn;
+    const invalidArgsCases = [
+        {
+            name: 'Toolchain CRN, all toolchains or undo not specified',
+            cmd: [CLI_PATH, COMMAND, '--check'],
+            expected: /one of the options '-c, --toolchain-crn <crn>', '-A, --all' or '--undo <journal>' must be specified/,
+        },
+        {
+            name: 'All toolchains provided with toolchain CRN',
+            cmd: [CLI_PATH, COMMAND, '-A', '-c', validCrn, '--check'],
+            expected: /option '-A, --all' cannot be used with option '-c, --toolchain-crn <crn>'/
+        },
+        {
+            name: 'All toolchains provided with undo',
+            cmd: [CLI_PATH, COMMAND, '-A', '--undo', 'journal.json'],
+            expected: /option '-A, --all' cannot be used with option '--undo <journal>'/
+        },
+        {
+            name: 'Region provided without all toolchains',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-r', TEST_TOOLCHAINS['empty'].region, '--check'],
+            expected: /options '-r, --region <region>', '-g, --resource-group <resource_group>' and '-t, --tag <tag>' can only be used with '-A, --all'/
+        },
+        {
+            name: 'Tag provided without all toolchains',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-t', 'tag', '--check'],
+            expected: /options '-r, --region <region>', '-g, --resource-group <resource_group>' and '-t, --tag <tag>' can only be used with '-A, --all'/
+        },
+        {
+            name: 'Invalid Toolchain tag provided with all toolchains',
+            cmd: [CLI_PATH, COMMAND, '-A', '-t', mocks.invalidTag, '--check'],
+            expected: /Provided tag is invalid/,
+        },
+        {
+            name: 'Invalid report file provided with all toolchains',
+            cmd: [CLI_PATH, COMMAND, '-A', '--report', 'report.txt', '--check'],
+            expected: /The report file must be a .csv or .json file/,
+        },
+        {
+            name: 'API Key is not specified with all toolchains',
+            cmd: [CLI_PATH, COMMAND, '-A', '--check'],
+            expected: /Environment variable 'IBMCLOUD_API_KEY' is required but not set/,
+            options: { env: { ...process.env, IBMCLOUD_API_KEY: '' } }
+        },
+        {
+            name: 'Invalid Resource Group name provided with all toolchains',
+            cmd: [CLI_PATH, COMMAND, '-A', '-g', mocks.invalidRgName, '--check'],
+            expected: /No matching resource groups were found for the provided id\(s\) or name\(s\)/,
+        }
+    ];
+
+    for (const { name, cmd, expected, options, assertionFn } of invalidArgsCases) {
+        if (VERBOSE_MODE) cmd.push('-v');
+        it(`Invalid args: ${name}`, async () => {
+            await assertExecError(cmd, expected, options, assertionFn);
+        });
+    }
+
+    it('Exits with code 1 when the input is invalid', async () => {
+        const err = await execCommand([CLI_PATH, COMMAND, '-A', '-c', validCrn, '--check']).then(() => null, (e) => e);
+        expect(err?.code).to.equal(1);
+    });
+});
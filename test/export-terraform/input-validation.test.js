@@ -0,0 +1,88 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import path from 'node:path';
+import nconf from 'nconf';
+import fs from 'node:fs';
+
+import { expect } from 'chai';
+
+import mocks from '../data/mocks.js';
+import { assertExecError, execCommand } from '../utils/testUtils.js';
+import { TEST_TOOLCHAINS } from '../data/test-toolchains.js';
+
+nconf.env('__');
+nconf.file('local', 'test/config/local.json');
+
+const VERBOSE_MODE = nconf.get('VERBOSE_MODE');
+const TEMP_DIR = nconf.get('TEST_TEMP_DIR');
+
+const CLI_PATH = path.resolve('index.js');
+const COMMAND = 'export-terraform';
+
+
+describe('export-terraform: Test user input handling', function () {
+    this.timeout('120s');
+    this.command = COMMAND;
+
+    const validCrn = TEST_TOOLCHAINS['empty'].crn;
+    const invalidArgsCases = [
+        {
+            name: 'Toolchain CRN not specified',
+            cmd: [CLI_PATH, COMMAND],
+            expected: /required option '-c, --toolchain-crn <crn>' not specified/,
+        },
+        {
+            name: 'Module provided with compact',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-M', '-C'],
+            expected: /option '-M, --module' cannot be used with option '-C, --compact'/
+        },
+        {
+            name: 'Invalid CRN is provided',
+            cmd: [CLI_PATH, COMMAND, '-c', mocks.invalidCrn],
+            expected: /Provided toolchain CRN is invalid/,
+        },
+        {
+            name: 'API Key is not specified',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn],
+            expected: /Environment variable 'IBMCLOUD_API_KEY' is required but not set/,
+            options: { env: { ...process.env, IBMCLOUD_API_KEY: '' } }
+        },
+        {
+            name: 'Invalid API Key provided',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn],
+            expected: /There was a problem getting a bearer token using IBMCLOUD_API_KEY/,
+            options: { env: { ...process.env, IBMCLOUD_API_KEY: 'not-a-valid-apikey' } }
+        }
+    ];
+
+    for (const { name, cmd, expected, options, assertionFn } of invalidArgsCases) {
+        if (VERBOSE_MODE) cmd.push('-v');
+        it(`Invalid args: ${name}`, async () => {
+            await assertExecError(cmd, expected, options, assertionFn);
+        });
+    }
+
+    it('Output directory with Terraform files provided', async () => {
+        const exportTestDir = path.resolve(TEMP_DIR, 'output-directory-with-terraform-files-provided');
+
+        if (!fs.existsSync(exportTestDir)) fs.mkdirSync(exportTestDir, { recursive: true });
+        fs.writeFileSync(path.resolve(exportTestDir, 'main.tf'), '');
+
+        const cmd = [CLI_PATH, COMMAND, '-c', validCrn, '-d', exportTestDir];
+        if (VERBOSE_MODE) cmd.push('-v');
+
+        await assertExecError(cmd, /Output directory already has 1 '.tf' files, please specify a different output directory/);
+    });
+
+    it('Exits with code 1 when the input is invalid', async () => {
+        const err = await execCommand([CLI_PATH, COMMAND, '-c', validCrn, '-M', '-C']).then(() => null, (e) => e);
+        expect(err?.code).to.equal(1);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Licensed Materials - Property of IBM
+ * (c) Copyright IBM Corporation 2026. All Rights Reserved.
+ *
+ * Note to U.S. Government Users Restricted Rights:
+ * Use, duplication or disclosure restricted by GSA ADP Schedule
+ * Contract with IBM Corp.
+ */
+
+import path from 'node:path';
+import nconf from 'nconf';
+
+import { expect } from 'chai';
+
+import mocks from '../data/mocks.js';
+import { assertExecError, execCommand } from '../utils/testUtils.js';
+import { TEST_TOOLCHAINS } from '../data/test-toolchains.js';
+import { SOURCE_REGIONS } from '../../config.js';
+
+nconf.env('__');
+nconf.file('local', 'test/config/local.json');
+
+const VERBOSE_MODE = nconf.get('VERBOSE_MODE');
+
+const CLI_PATH = path.resolve('index.js');
+const COMMAND = 'rotate-secret';
+
+
+describe('rotate-secret: Test user input handling', function () {
+    this.timeout('120s');
+    this.command = COMMAND;
+
+    const validCrn = TEST_TOOLCHAINS['empty'].crn;
+    const smReference = 'ref://secrets-manager.us-south.default.group.secret';
+    const vaultReference = '{vault::vault-integration.secret}';
+    const invalidArgsCases = [
+        {
+            name: 'Region provided with toolchain CRN',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-r', SOURCE_REGIONS[0], '--reference', smReference],
+            expected: /option '-r, --region <region>' cannot be used with option '-c, --toolchain-crn <crn>'/
+        },
+        {
+            name: 'Tag provided with toolchain CRN',
+            cmd: [CLI_PATH, COMMAND, '-c', validCrn, '-t', 'tag', '--reference', smReference],
+            expected: /option '-t, --tag <tag>' cannot be used with option '-c, --toolchain-crn <crn>'/
+        },
+        {
+            name: 'Invalid region is provided',
+            cmd: [CLI_PATH, COMMAND, '-r', mocks.invalidRegion, '--reference', smReference],
+            expected: new RegExp(`option '-r, --region <region>' argument '${mocks.invalidRegion}' is invalid`)
+        },
+        {
+            name: 'Invalid Toolchain tag is provided',
+            cmd: [CLI_PATH, COMMAND, '-t', mocks.invalidTag, '--reference', smReference],
+            expected: /Provided tag is invalid/,
+        },
+        {
+            name: 'Reference is not a secret reference',
+            cmd: [CLI_PATH, COMMAND, '--reference', 'not-a-reference'],
+            expected: /Provided reference 'not-a-reference' is not a secret reference/
+        },
+        {
+            name: 'Reference that is not a Secrets Manager reference provided without new reference',
+            cmd: [CLI_PATH, COMMAND, '--reference', vaultReference],
+            expected: /is not the CRN or ref:\/\/ reference of a Secrets Manager secret, a new version cannot be created/
+        },
+        {
+            name: 'New reference is not a secret reference',
+            cmd: [CLI_PATH, COMMAND, '--reference', vaultReference, '--new-reference', 'not-a-reference'],
+            expected: /Provided new reference 'not-a-reference' is not a secret reference/
+        },
+        {
+            name: 'New reference is the same as the reference',
+            cmd: [CLI_PATH, COMMAND, '--reference', smReference, '--new-reference', smReference],
+            expected: /The new reference must be different from the reference to rotate/
+        },
+        {
+            name: 'API Key is not specified',
+            cmd: [CLI_PATH, COMMAND, '--reference', smReference],
+            expected: /Environment variable 'IBMCLOUD_API_KEY' is required but not set/,
+            options: { env: { ...process.env, IBMCLOUD_API_KEY: '' } }
+        }
+    ];
+
+    for (const { name, cmd, expected, options, assertionFn } of invalidArgsCases) {
+        if (VERBOSE_MODE) cmd.push('-v');
+        it(`Invalid args: ${name}`, async () => {
+            await assertExecError(cmd, expected, options, assertionFn);
+        });
+    }
+
+    it('Exits with code 1 when the input is invalid', async () => {
+        const err = await execCommand([CLI_PATH, COMMAND, '--reference', 'not-a-reference']).then(() => null, (e) => e);
+        expect(err?.code).to.equal(1);
+    });
+});